@@ -44,6 +44,16 @@ function getPath(relativePath) {
     return basePath + normalizedPath;
 }
 
+// Escape text coming from the data files before putting it in innerHTML
+function escapeHTML(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
 // Log base path for debugging
 const BASE_PATH = getBasePath();
 console.log('📍 Base Path:', BASE_PATH || '(root)');
@@ -72,6 +82,8 @@ class WineListApp {
             region: null,
             search: ''
         };
+        // Facet state for the wines page (set up only when the facet panel exists)
+        this.facetState = null;
         
         this.init();
     }
@@ -82,6 +94,10 @@ class WineListApp {
             this.setupEventListeners();
             this.handleURLParameters();
             this.renderCurrentPage();
+            this.renderCatalogHealthPanel();
+            // Keep the query string in step with the filters (see js/wine-url-state.js)
+            this.syncURLState(true);
+            WineURLState.onChange(params => this.restoreURLState(params));
         } catch (error) {
             console.error('Error initializing wine list app:', error);
             this.showError('Failed to load wine data. Please refresh the page.');
@@ -95,41 +111,21 @@ class WineListApp {
             winesPath = getPath('./data/wines.json');
             console.log('🍷 Loading wines from:', winesPath);
             
-            // Add cache busting to avoid stale data
-            const response = await fetch(winesPath + '?v=' + Date.now());
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
-            }
-            const data = await response.json();
+            // WineCatalog validates every row against the catalog schema (see js/wine-schema.js)
+            // and keeps the invalid ones in the report so staff can see why they are missing.
+            this.wines = [...await WineCatalog.load()];
+            this.catalogReport = WineCatalog.report;
+            const report = this.catalogReport;
             
-            // Filter out corrupted wines with invalid regions
-            const validRegions = [
-                'SICILIA', 'PIEMONTE', 'TOSCANA', 'VENETO', 'LOMBARDIA', 'EMILIA-ROMAGNA',
-                'LAZIO', 'CAMPANIA', 'PUGLIA', 'CALABRIA', 'BASILICATA', 'MOLISE',
-                'ABRUZZO', 'UMBRIA', 'LE MARCHE', 'FRIULI-VENEZIA GIULIA', 'FRIULI', 'TRENTINO ALTO-ADIGE',
-                'VALLE D\'AOSTA', 'LIGURIA', 'SARDEGNA', 'TOSCANA (BOLGHERI)', 'LUGANA DOC (VENETO)',
-                'TARANTO IGT (PUGLIA)', 'MATERA DOC (BASILICATA)'
-            ];
-            
-            this.wines = (data.wines || []).filter(wine => {
-                // Filter out wines with corrupted data
-                const hasValidRegion = wine.region && validRegions.includes(wine.region);
-                const hasValidName = wine.wine_name && wine.wine_name !== 'WINE NAME' && wine.wine_name !== 'WINE PRICE' && wine.wine_name !== 'VINTAGE';
-                const hasValidProducer = wine.wine_producer && wine.wine_producer !== 'UNKNOWN PRODUCER';
-                const hasValidPrice = (wine.wine_price && wine.wine_price !== '0') || 
-                                     (wine.wine_price_bottle && wine.wine_price_bottle !== '0') ||
-                                     (wine.wine_price_glass && wine.wine_price_glass !== '0');
-                
-                // Filter out sangria and cocktail wines
-                const isNotSangriaOrCocktail = wine.wine_type && 
-                    !wine.wine_type.toUpperCase().includes('SANGRIA') && 
-                    !wine.wine_type.toUpperCase().includes('COCKTAIL');
-                
-                return hasValidRegion && hasValidName && hasValidProducer && hasValidPrice && isNotSangriaOrCocktail;
-            });
+            if (report.rejected.length > 0) {
+                console.warn(`⚠️ ${report.rejected.length} wine rows rejected by schema validation:`, report.rejected);
+            }
             
             this.filteredWines = [...this.wines];
-            console.log(`Loaded ${this.wines.length} valid wines (filtered out corrupted data)`);
+            // Search index shared by the wines page search, the global search and autocomplete
+            WineSearch.build(this.wines);
+            WineSearch.normalizeRegion = region => this.normalizeRegionName(region);
+            console.log(`Loaded ${this.wines.length} valid wines (${report.rejected.length} rejected, ${report.excluded.length} excluded)`);
             
             if (this.wines.length === 0) {
                 this.showError('No wines found in database. Please check the data file.');
@@ -181,19 +177,15 @@ class WineListApp {
     }
 
     async loadFoodPairingsData() {
-        try {
-            const pairingsPath = getPath('./data/FoodParingWineDetails.json');
-            const response = await fetch(pairingsPath + '?v=' + Date.now());
-            if (!response.ok) {
-                console.warn('Food pairings data not available');
-                return;
-            }
-            this.foodPairingsData = await response.json();
-            console.log(`Loaded ${this.foodPairingsData.length} dish pairings from Gran Caffè`);
-        } catch (error) {
-            console.warn('Error loading food pairings data:', error);
+        const dishes = await WinePairings.load();
+        if (!dishes.length) {
             this.foodPairingsData = null;
+            return;
         }
+        this.foodPairingsData = dishes;
+        // GCA scores of the recommended wines drive the "GCA Pick" sort
+        WineSort.scores = WinePairings.getScores(this.wines);
+        console.log(`Loaded ${this.foodPairingsData.length} dish pairings from Gran Caffè`);
     }
 
     setupEventListeners() {
@@ -208,6 +200,14 @@ class WineListApp {
                     this.applyIndexSearch();
                 } else {
                     this.applyFilters();
+                    // One history entry per search, once the guest stops typing
+                    clearTimeout(this.searchURLTimer);
+                    this.searchURLTimer = setTimeout(() => {
+                        this.syncURLState();
+                        if (this.filteredWines.length > 0) {
+                            WineHistory.addSearch(this.currentFilters.search);
+                        }
+                    }, 600);
                 }
             });
         });
@@ -221,16 +221,13 @@ class WineListApp {
             });
         });
 
-        // Varietal select on wines page
-        const varietalSelect = document.getElementById('varietalSelect');
-        if (varietalSelect) {
-            varietalSelect.addEventListener('change', (e) => {
-                const value = e.target.value || '';
-                this.currentFilters.varietal = value;
-                if (this.getCurrentPage() === 'wines') {
-                    this.applyFilters();
-                }
-            });
+        // Sort controls (wines page, map list, mobile list)
+        this.setupSortControls();
+
+        // Facet panel on wines page
+        const facetPanel = document.getElementById('facetPanel');
+        if (facetPanel) {
+            this.setupFacetPanel(facetPanel);
         }
 
         // View toggle
@@ -238,8 +235,14 @@ class WineListApp {
         const tableViewBtn = document.getElementById('tableViewBtn');
         
         if (gridViewBtn && tableViewBtn) {
-            gridViewBtn.addEventListener('click', () => this.toggleView('grid'));
-            tableViewBtn.addEventListener('click', () => this.toggleView('table'));
+            gridViewBtn.addEventListener('click', () => {
+                this.toggleView('grid');
+                this.syncURLState();
+            });
+            tableViewBtn.addEventListener('click', () => {
+                this.toggleView('table');
+                this.syncURLState();
+            });
         }
 
         // Explore wine buttons
@@ -270,6 +273,73 @@ class WineListApp {
             }
         });
 
+        // Shortlist stars (wine cards, mobile cards, wine details header)
+        document.addEventListener('click', (e) => {
+            const star = e.target.closest('.favorite-toggle');
+            if (!star || !star.dataset.wineId) return;
+            e.preventDefault();
+            WineFavorites.toggle(star.dataset.wineId);
+        });
+        WineFavorites.onChange(() => {
+            this.updateFavoriteToggles();
+            if (this.getCurrentPage() === 'shortlist') {
+                this.renderShortlistPage();
+            }
+        });
+        this.updateFavoriteToggles();
+
+        // Context menu on wine cards and rows: comparison and shortlist
+        const cardWine = (target) => {
+            const card = target.closest('.wine-card[data-wine-id], .mobile-wine-card[data-wine-id], .mobile-wine-card-grid[data-wine-id], tr[data-wine-id]');
+            return card ? this.wines.find(w => String(w.wine_number) === card.dataset.wineId) : null;
+        };
+        // iOS Safari fires no contextmenu on long press: a held touch opens the menu too
+        let longPress = null;
+        const cancelLongPress = () => {
+            if (longPress) clearTimeout(longPress.timer);
+        };
+        document.addEventListener('contextmenu', (e) => {
+            const wine = cardWine(e.target);
+            if (!wine) return;
+            e.preventDefault();
+            cancelLongPress();
+            if (longPress && longPress.opened) return;
+            this.showWineContextMenu(wine, e.clientX, e.clientY);
+        });
+        document.addEventListener('touchstart', (e) => {
+            cancelLongPress();
+            const wine = e.touches.length === 1 ? cardWine(e.target) : null;
+            if (!wine) {
+                longPress = null;
+                return;
+            }
+            const { clientX: x, clientY: y } = e.touches[0];
+            longPress = { x, y, opened: false };
+            longPress.timer = setTimeout(() => {
+                longPress.opened = true;
+                this.showWineContextMenu(wine, x, y);
+            }, 550);
+        }, { passive: true });
+        document.addEventListener('touchmove', (e) => {
+            if (!longPress) return;
+            const touch = e.touches[0];
+            if (Math.abs(touch.clientX - longPress.x) > 10 || Math.abs(touch.clientY - longPress.y) > 10) cancelLongPress();
+        }, { passive: true });
+        document.addEventListener('touchend', (e) => {
+            cancelLongPress();
+            // The tap that ends a long press must not open the card underneath the menu
+            if (longPress && longPress.opened) e.preventDefault();
+            longPress = null;
+        });
+        document.addEventListener('touchcancel', cancelLongPress);
+        document.addEventListener('click', (e) => {
+            if (!e.target.closest('.wine-context-menu')) this.closeWineContextMenu();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.closeWineContextMenu();
+        });
+        window.addEventListener('scroll', () => this.closeWineContextMenu(), true);
+
         // Wine card hover effects
         this.setupHoverEffects();
     }
@@ -280,23 +350,99 @@ class WineListApp {
         const region = urlParams.get('region');
         const wineId = urlParams.get('id');
         const search = urlParams.get('search');
+        const varietal = urlParams.get('varietal');
+        const classification = urlParams.get('classification');
+        const view = urlParams.get('view');
+        const sort = urlParams.get('sort');
 
         if (type) {
             this.currentFilters.type = type;
         }
         if (region) {
             // Decode URL-encoded region names
-            this.currentFilters.region = decodeURIComponent(region);
+            this.currentFilters.region = WineURLState.decode(region);
             console.log(`Region from URL: ${region} -> decoded: ${this.currentFilters.region}`);
         }
         if (search) {
-            this.currentFilters.search = decodeURIComponent(search).toLowerCase();
+            this.currentFilters.search = WineURLState.decode(search).toLowerCase();
+        }
+        if (varietal) {
+            this.currentFilters.varietal = WineURLState.decode(varietal);
+        }
+        if (this.facetState) {
+            WineURLState.toFacets(urlParams, this.facetState);
+            if (classification) {
+                this.facetState.tiers = [classification];
+            }
+        }
+        if (view === 'grid' || view === 'table') {
+            this.toggleView(view);
+        }
+        if (sort && WineSort.OPTIONS.some(option => option.value === sort)) {
+            this.setSortValue(sort);
+        }
+        // Search boxes show the search the list was opened with
+        if (this.currentFilters.search && this.getCurrentPage() === 'wines') {
+            document.querySelectorAll('.luxury-search-input').forEach(input => {
+                input.value = this.currentFilters.search;
+            });
         }
         if (wineId) {
             this.loadWineDetails(wineId);
         }
     }
 
+    /**
+     * Writes the current filters to the query string (see js/wine-url-state.js).
+     * Adds a history entry unless replace is true.
+     */
+    syncURLState(replace = false) {
+        const values = {};
+
+        if (document.querySelector('select[data-wine-sort]')) {
+            const sort = WineSort.getSaved();
+            values.sort = sort === WineSort.DEFAULT ? null : sort;
+        }
+
+        if (this.getCurrentPage() === 'wines') {
+            Object.assign(values, {
+                type: this.currentFilters.type,
+                region: this.currentFilters.region,
+                search: this.currentFilters.search,
+                varietal: this.currentFilters.varietal,
+                view: this.currentView === 'table' ? 'table' : null,
+                // Written as "tiers" from now on
+                classification: null
+            }, this.facetState ? WineURLState.fromFacets(this.facetState) : {});
+        }
+
+        WineURLState.update(values, { replace });
+    }
+
+    /**
+     * Back/forward: puts the filters of the history entry back on screen
+     */
+    restoreURLState(params) {
+        const sort = params.get('sort');
+        this.setSortValue(WineSort.OPTIONS.some(option => option.value === sort) ? sort : WineSort.DEFAULT);
+
+        if (this.getCurrentPage() !== 'wines') {
+            this.reorderRenderedWines();
+            return;
+        }
+
+        this.currentFilters = { type: null, region: null, search: '', varietal: '' };
+        if (this.facetState) {
+            this.facetState = WineFacets.createState();
+        }
+        this.handleURLParameters();
+        this.toggleView(params.get('view') === 'table' ? 'table' : 'grid');
+        document.querySelectorAll('.luxury-search-input').forEach(input => {
+            input.value = this.currentFilters.search;
+        });
+        this.renderWinesPage();
+    }
+
     renderCurrentPage() {
         const currentPage = this.getCurrentPage();
         
@@ -339,6 +485,18 @@ class WineListApp {
                 sessionStorage.setItem('skipHomeLoading', 'true');
                 this.renderWineDetailsPage();
                 break;
+            case 'shortlist':
+                this.renderShortlistPage();
+                break;
+            case 'table-wizard':
+                this.renderTableWizardPage();
+                break;
+            case 'dishes':
+                this.renderDishesPage();
+                break;
+            case 'print-list':
+                this.renderPrintListPage();
+                break;
         }
     }
 
@@ -464,6 +622,10 @@ class WineListApp {
 
     getCurrentPage() {
         const path = window.location.pathname;
+        if (path.includes('shortlist')) return 'shortlist';
+        if (path.includes('table-wizard')) return 'table-wizard';
+        if (path.includes('print-list')) return 'print-list';
+        if (path.includes('dishes')) return 'dishes';
         if (path.includes('regions')) return 'regions';
         if (path.includes('wines')) return 'wines';
         if (path.includes('wine-details')) return 'wine-details';
@@ -487,6 +649,61 @@ class WineListApp {
         
         // Update breadcrumb for home page
         this.updateBreadcrumb('Home', 'Wine Collection');
+
+        this.renderRecentHistory();
+    }
+
+    /**
+     * Home page: recently viewed wines and recent searches (see js/wine-history.js)
+     */
+    renderRecentHistory() {
+        const container = document.getElementById('recentHistory');
+        if (!container) return;
+
+        const wines = WineHistory.getWines(this.wines);
+        const searches = WineHistory.getSearches();
+        if (!wines.length && !searches.length) {
+            container.innerHTML = '';
+            container.hidden = true;
+            return;
+        }
+
+        container.innerHTML = `
+            <div class="landing-recent-header">
+                <h4 class="landing-recent-title">Welcome back</h4>
+                <button type="button" class="landing-recent-clear" data-history-clear>Clear history</button>
+            </div>
+            ${wines.length ? `
+                <div class="landing-recent-group">
+                    <span class="landing-recent-label">Recently viewed</span>
+                    <div class="landing-recent-list">
+                        ${wines.map(item => `
+                            <a class="landing-recent-chip" href="./wine-details.html?id=${encodeURIComponent(item.id)}">
+                                ${escapeHTML(item.name)}${item.producer ? ` <small>${escapeHTML(item.producer)}</small>` : ''}
+                            </a>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+            ${searches.length ? `
+                <div class="landing-recent-group">
+                    <span class="landing-recent-label">Recent searches</span>
+                    <div class="landing-recent-list">
+                        ${searches.map(term => `
+                            <a class="landing-recent-chip" href="./wines.html?search=${encodeURIComponent(term)}">
+                                <i class="fas fa-search"></i> ${escapeHTML(term)}
+                            </a>
+                        `).join('')}
+                    </div>
+                </div>
+            ` : ''}
+        `;
+        container.hidden = false;
+
+        container.querySelector('[data-history-clear]').addEventListener('click', () => {
+            WineHistory.clear();
+            this.renderRecentHistory();
+        });
     }
 
     renderRegionsPage() {
@@ -736,26 +953,8 @@ class WineListApp {
             console.log(`Rendering wines page for region: ${this.currentFilters.region}, type: ${this.currentFilters.type || 'all'}`);
         }
 
-        // Filter wines by region (if specified), type (if specified), and search (if present)
-        this.filteredWines = this.wines.filter(wine => {
-            // Use normalized region comparison to handle variations
-            let matchesRegion = true;
-            if (this.currentFilters.region) {
-                const normalizedWineRegion = this.normalizeRegionName(wine.region);
-                const normalizedFilterRegion = this.normalizeRegionName(this.currentFilters.region);
-                matchesRegion = normalizedWineRegion === normalizedFilterRegion;
-            }
-            
-            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
-            const matchesSearch = !this.currentFilters.search || (
-                (wine.wine_name && wine.wine_name.toLowerCase().includes(this.currentFilters.search)) ||
-                (wine.region && wine.region.toLowerCase().includes(this.currentFilters.search)) ||
-                (wine.varietals && wine.varietals.toLowerCase().includes(this.currentFilters.search)) ||
-                (wine.wine_producer && wine.wine_producer.toLowerCase().includes(this.currentFilters.search))
-            );
-            
-            return matchesRegion && matchesType && matchesSearch;
-        });
+        // Filter wines by region (if specified), type (if specified), search (if present) and facets
+        this.filteredWines = this.getFilteredWines();
 
         if (this.currentFilters.region) {
             console.log(`Found ${this.filteredWines.length} wines for ${this.currentFilters.region}`);
@@ -789,32 +988,175 @@ class WineListApp {
         // Update breadcrumb
         this.updateWinesBreadcrumb();
 
-        // Populate varietal dropdown based on current region (and type if present)
-        this.populateVarietalSelect();
+        // Facet options and live counts for the current region (and type if present)
+        this.renderFacetPanel();
 
         // Render wines
         this.renderWines();
     }
 
-    populateVarietalSelect() {
-        const select = document.getElementById('varietalSelect');
-        if (!select) return;
-        // Build varietal set scoped to region and type
-        const regionNorm = this.currentFilters.region ? this.normalizeRegionName(this.currentFilters.region) : null;
-        const varietalSet = new Set();
-        this.wines.forEach(w => {
-            if (!w.varietals || !w.varietals.trim()) return;
-            if (regionNorm && this.normalizeRegionName(w.region) !== regionNorm) return;
-            if (this.currentFilters.type && !this.wineMatchesFamily(w, this.currentFilters.type)) return;
-            varietalSet.add(w.varietals);
+    /**
+     * Wines matching the page scope (region, type, search) before facets are applied
+     */
+    getScopedWines() {
+        const normalizedFilterRegion = this.currentFilters.region ? this.normalizeRegionName(this.currentFilters.region) : null;
+        const search = this.currentFilters.search;
+        const searchMatches = search
+            ? new Set(WineSearch.search(search, this.wines).map(result => result.wine))
+            : null;
+        
+        // Helper function to check if a wine contains the varietal as a complete varietal
+        const wineContainsVarietal = (wine, searchVarietal) => {
+            if (!wine.varietals || !searchVarietal) return false;
+            const wineVarietals = wine.varietals.split(',').map(v => v.trim().toLowerCase());
+            return wineVarietals.some(v => v === searchVarietal.toLowerCase());
+        };
+        
+        return this.wines.filter(wine => {
+            // Use normalized region comparison to handle variations
+            const matchesRegion = !normalizedFilterRegion || this.normalizeRegionName(wine.region) === normalizedFilterRegion;
+            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
+            const matchesVarietal = !this.currentFilters.varietal || wineContainsVarietal(wine, this.currentFilters.varietal);
+            const matchesSearch = !searchMatches || searchMatches.has(wine);
+            
+            return matchesRegion && matchesType && matchesVarietal && matchesSearch;
         });
-        const varietals = Array.from(varietalSet).sort();
-        select.innerHTML = '<option value="">All Grapes</option>' +
-            varietals.map(v => `<option value="${v}">${v}</option>`).join('');
-        // Preserve current selection if present
-        if (this.currentFilters.varietal) {
-            select.value = this.currentFilters.varietal;
-        }
+    }
+
+    getFilteredWines() {
+        const scoped = this.getScopedWines();
+        return this.facetState ? WineFacets.apply(scoped, this.facetState) : scoped;
+    }
+
+    setupFacetPanel(panel) {
+        this.facetState = WineFacets.createState();
+        this.facetOpenGroups = new Set(['regions']);
+        WineFacets.normalizeRegion = region => this.normalizeRegionName(region);
+
+        panel.addEventListener('change', (e) => {
+            const input = e.target;
+            const state = this.facetState;
+            
+            if (input.dataset.facet) {
+                const values = state[input.dataset.facet];
+                state[input.dataset.facet] = input.checked
+                    ? [...values, input.value]
+                    : values.filter(value => value !== input.value);
+            } else if (input.dataset.facetToggle) {
+                state[input.dataset.facetToggle] = input.checked;
+            } else if (input.dataset.facetRange) {
+                const number = parseFloat(input.value);
+                state[input.dataset.facetRange] = isNaN(number) ? null : number;
+            } else if (input.dataset.facetBasis !== undefined) {
+                // Bottle and glass prices are on different scales
+                state.priceBasis = input.value;
+                state.priceMin = null;
+                state.priceMax = null;
+            } else {
+                return;
+            }
+            this.applyFilters();
+            this.syncURLState();
+        });
+
+        panel.addEventListener('click', (e) => {
+            if (e.target.closest('[data-facet-clear]')) {
+                this.facetState = WineFacets.createState();
+                this.applyFilters();
+                this.syncURLState();
+            }
+        });
+
+        // Remember which groups are open when the panel is re-rendered
+        panel.addEventListener('toggle', (e) => {
+            const group = e.target.dataset && e.target.dataset.group;
+            if (!group) return;
+            if (e.target.open) {
+                this.facetOpenGroups.add(group);
+            } else {
+                this.facetOpenGroups.delete(group);
+            }
+        }, true);
+    }
+
+    renderFacetPanel() {
+        const panel = document.getElementById('facetPanel');
+        if (!panel || !this.facetState) return;
+
+        const state = this.facetState;
+        const counts = WineFacets.counts(this.getScopedWines(), state);
+        const definitions = WineFacets.definitions;
+        const methodLabel = value => value.charAt(0) + value.slice(1).toLowerCase().replace(/ (\w)/g, (m, c) => ' ' + c.toUpperCase());
+
+        const group = (id, title, body) => `
+            <details class="facet-group" data-group="${id}" ${this.facetOpenGroups.has(id) ? 'open' : ''}>
+                <summary>${title}</summary>
+                <div class="facet-options">${body}</div>
+            </details>
+        `;
+
+        const multiGroup = (id, formatLabel = value => value) => {
+            const options = counts[id];
+            if (!options.length) return '';
+            const activeCount = state[id].length;
+            return group(id, `${definitions[id].label}${activeCount ? ` <span class="facet-active-count">${activeCount}</span>` : ''}`,
+                options.map(option => `
+                    <label class="facet-option ${option.count === 0 && !option.selected ? 'is-empty' : ''}">
+                        <input type="checkbox" data-facet="${id}" value="${escapeHTML(option.value)}"
+                            ${option.selected ? 'checked' : ''} ${option.count === 0 && !option.selected ? 'disabled' : ''}>
+                        <span class="facet-option-label">${escapeHTML(formatLabel(option.value))}</span>
+                        <span class="facet-count">${option.count}</span>
+                    </label>
+                `).join(''));
+        };
+
+        const toggleOption = id => `
+            <label class="facet-option ${counts[id].count === 0 && !state[id] ? 'is-empty' : ''}">
+                <input type="checkbox" data-facet-toggle="${id}" ${state[id] ? 'checked' : ''}
+                    ${counts[id].count === 0 && !state[id] ? 'disabled' : ''}>
+                <span class="facet-option-label">${definitions[id].label}</span>
+                <span class="facet-count">${counts[id].count}</span>
+            </label>
+        `;
+
+        const rangeInputs = (id, step) => {
+            const facet = definitions[id];
+            const bounds = counts[id];
+            const value = key => (state[key] !== null ? state[key] : '');
+            return `
+                <div class="facet-range">
+                    <input type="number" class="facet-range-input" data-facet-range="${facet.minKey}" step="${step}"
+                        value="${value(facet.minKey)}" placeholder="${bounds.min !== null ? bounds.min : 'Min'}" aria-label="${facet.label} from">
+                    <span class="facet-range-separator">–</span>
+                    <input type="number" class="facet-range-input" data-facet-range="${facet.maxKey}" step="${step}"
+                        value="${value(facet.maxKey)}" placeholder="${bounds.max !== null ? bounds.max : 'Max'}" aria-label="${facet.label} to">
+                </div>
+            `;
+        };
+
+        const hasActiveFacets = Object.keys(definitions).some(id => WineFacets.isActive(id, state));
+
+        panel.innerHTML = `
+            <div class="facet-panel-header">
+                <span class="facet-panel-title">Refine</span>
+                ${hasActiveFacets ? '<button type="button" class="facet-clear" data-facet-clear>Clear all</button>' : ''}
+            </div>
+            <div class="facet-groups">
+                ${multiGroup('regions')}
+                ${multiGroup('varietals')}
+                ${multiGroup('tiers')}
+                ${multiGroup('methods', methodLabel)}
+                ${group('availability', 'Availability', toggleOption('organic') + toggleOption('byTheGlass'))}
+                ${group('price', 'Price', `
+                    <select class="luxury-select facet-basis" data-facet-basis aria-label="Price basis">
+                        <option value="bottle" ${state.priceBasis === 'bottle' ? 'selected' : ''}>Bottle</option>
+                        <option value="glass" ${state.priceBasis === 'glass' ? 'selected' : ''}>Glass</option>
+                    </select>
+                    ${rangeInputs('price', '0.5')}
+                `)}
+                ${group('vintage', 'Vintage', rangeInputs('vintage', '1'))}
+            </div>
+        `;
     }
 
     updateWinesPageTitle() {
@@ -891,20 +1233,96 @@ class WineListApp {
         
         console.log(`Rendering ${this.filteredWines.length} wines`);
         
+        // Grid and table share the same order
+        const sortedWines = WineSort.sort(this.filteredWines);
+        
         if (winesGrid) {
-            winesGrid.innerHTML = this.filteredWines.map(wine => this.createWineCard(wine)).join('');
+            winesGrid.innerHTML = sortedWines.map(wine => this.createWineCard(wine)).join('');
             console.log(`Updated wines grid with ${this.filteredWines.length} cards`);
         }
         
         if (wineTable) {
             const tbody = wineTable.querySelector('tbody');
             if (tbody) {
-                tbody.innerHTML = this.filteredWines.map(wine => this.createWineTableRow(wine)).join('');
+                tbody.innerHTML = sortedWines.map(wine => this.createWineTableRow(wine)).join('');
                 console.log(`Updated wines table with ${this.filteredWines.length} rows`);
             }
         }
     }
 
+    setupSortControls() {
+        const selects = document.querySelectorAll('select[data-wine-sort]');
+        if (!selects.length) return;
+
+        const current = WineSort.getSaved();
+        selects.forEach(select => {
+            select.innerHTML = WineSort.OPTIONS
+                .map(option => `<option value="${option.value}">${option.label}</option>`)
+                .join('');
+            select.value = current;
+
+            select.addEventListener('change', (e) => {
+                this.setSortValue(e.target.value);
+
+                if (document.getElementById('winesGrid') || document.getElementById('wineTable')) {
+                    this.renderWines();
+                }
+                this.reorderRenderedWines();
+                this.syncURLState();
+            });
+        });
+    }
+
+    setSortValue(value) {
+        WineSort.save(value);
+        // Keep every sort control on the page in sync
+        document.querySelectorAll('select[data-wine-sort]').forEach(select => { select.value = value; });
+    }
+
+    /**
+     * Re-sorts wine lists already in the page (map table rows and mobile cards).
+     * Items between two subcategory headers are sorted as one block.
+     */
+    reorderRenderedWines() {
+        const winesById = new Map(this.wines.map((wine, index) => [wine.wine_number, { wine, index }]));
+        const sortKey = WineSort.getSaved();
+
+        const lists = [
+            // Desktop map table: default order is the wine list order
+            { container: document.querySelector('#winesGridContainer tbody'), defaultKey: null },
+            // Mobile cards are grouped by subcategory and sorted by price by default
+            { container: document.getElementById('mobileWinesCardsGrid'), defaultKey: 'price-asc' }
+        ];
+
+        lists.forEach(({ container, defaultKey }) => {
+            if (!container) return;
+            const key = sortKey === WineSort.DEFAULT ? defaultKey : sortKey;
+
+            const sortRun = run => {
+                if (run.length < 2) return;
+                const anchor = run[run.length - 1].nextSibling;
+                run.sort((a, b) => {
+                    const entryA = winesById.get(a.dataset.wineId);
+                    const entryB = winesById.get(b.dataset.wineId);
+                    if (!entryA || !entryB) return 0;
+                    return (key ? WineSort.compare(entryA.wine, entryB.wine, key) : 0) || entryA.index - entryB.index;
+                });
+                run.forEach(element => container.insertBefore(element, anchor));
+            };
+
+            let run = [];
+            Array.from(container.children).forEach(child => {
+                if (child.dataset && child.dataset.wineId) {
+                    run.push(child);
+                } else {
+                    sortRun(run);
+                    run = [];
+                }
+            });
+            sortRun(run);
+        });
+    }
+
     createWineCard(wine) {
         const wineFamily = this.getWineFamily(wine.wine_type, wine.subcategory);
         
@@ -930,10 +1348,11 @@ class WineListApp {
         const backgroundImageStyle = wineImageUrl ? `background-image: url('${wineImageUrl}'); background-size: cover; background-position: center; background-repeat: no-repeat;` : '';
         
         return `
-            <div class="wine-card" style="${backgroundImageStyle}">
+            <div class="wine-card" data-wine-id="${escapeHTML(wine.wine_number)}" style="${backgroundImageStyle}">
                 <div class="wine-header">
                     <h3 class="wine-name">${wine.wine_name}</h3>
-                    <div class="wine-price">$${wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A'}</div>
+                    ${this.favoriteToggleHTML(wine)}
+                    <div class="wine-price">${WineCatalog.formatPrice(wine)}</div>
                 </div>
                 <div class="wine-details">
                     <p class="wine-producer">${wine.wine_producer || 'Producer not specified'}</p>
@@ -952,18 +1371,703 @@ class WineListApp {
 
     createWineTableRow(wine) {
         return `
-            <tr>
+            <tr data-wine-id="${escapeHTML(wine.wine_number)}">
                 <td class="table-wine-name">${wine.wine_name}</td>
                 <td class="table-wine-producer">${wine.wine_producer || 'Producer not specified'}</td>
                 <td class="table-wine-region">${wine.region}</td>
                 <td>${wine.varietals || 'N/A'}</td>
                 <td>${this.extractYear(wine.wine_vintage)}</td>
-                <td class="table-wine-price">$${wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A'}</td>
+                <td class="table-wine-price">${WineCatalog.formatPrice(wine)}</td>
                 <td><a href="wine-details.html?id=${wine.wine_number}${this.currentFilters.type ? '&type=' + encodeURIComponent(this.currentFilters.type) : ''}" class="table-explore-btn">Explore</a></td>
             </tr>
         `;
     }
 
+    /**
+     * Star button that adds a wine to the guest's shortlist (see js/wine-favorites.js)
+     */
+    favoriteToggleHTML(wine) {
+        const starred = WineFavorites.has(wine.wine_number);
+        return `
+            <button type="button" class="favorite-toggle${starred ? ' is-favorite' : ''}" data-wine-id="${escapeHTML(wine.wine_number)}" aria-pressed="${starred}" aria-label="${starred ? 'Remove from your shortlist' : 'Add to your shortlist'}">
+                <i class="${starred ? 'fas' : 'far'} fa-star"></i>
+            </button>
+        `;
+    }
+
+    /**
+     * Keeps every star on the page and the shortlist shortcut in step with the saved shortlist
+     */
+    updateFavoriteToggles() {
+        const ids = new Set(WineFavorites.getIds());
+        document.querySelectorAll('.favorite-toggle[data-wine-id]').forEach(button => {
+            const starred = ids.has(button.dataset.wineId);
+            button.classList.toggle('is-favorite', starred);
+            button.setAttribute('aria-pressed', String(starred));
+            const icon = button.querySelector('i');
+            if (icon) icon.className = `${starred ? 'fas' : 'far'} fa-star`;
+            button.setAttribute('aria-label', starred ? 'Remove from your shortlist' : 'Add to your shortlist');
+        });
+
+        let shortcut = document.querySelector('.shortlist-fab');
+        if (!ids.size || this.getCurrentPage() === 'shortlist') {
+            if (shortcut) shortcut.remove();
+            return;
+        }
+        if (!shortcut) {
+            shortcut = document.createElement('a');
+            shortcut.className = 'shortlist-fab';
+            shortcut.href = './shortlist.html';
+            document.body.appendChild(shortcut);
+        }
+        shortcut.setAttribute('aria-label', `My shortlist, ${ids.size} ${ids.size === 1 ? 'wine' : 'wines'}`);
+        shortcut.innerHTML = `<i class="fas fa-star"></i><span class="shortlist-fab-count">${ids.size}</span>`;
+    }
+
+    /**
+     * Context menu of a wine card (right click or long press): add it to the comparison
+     * (see js/wine-compare.js) or the shortlist, or open the comparison
+     */
+    showWineContextMenu(wine, x, y) {
+        this.closeWineContextMenu();
+
+        const id = String(wine.wine_number);
+        const compareIds = WineCompare.getIds();
+        const inComparison = compareIds.includes(id);
+        const comparisonFull = !inComparison && compareIds.length >= WineCompare.MAX_WINES;
+        const starred = WineFavorites.has(id);
+
+        const menu = document.createElement('div');
+        menu.className = 'wine-context-menu';
+        menu.setAttribute('role', 'menu');
+        menu.innerHTML = `
+            <div class="wine-context-menu-title">${escapeHTML(wine.wine_name)}</div>
+            <button type="button" role="menuitem" data-action="compare"${comparisonFull ? ' disabled' : ''}>
+                <i class="fas fa-balance-scale"></i>
+                ${inComparison ? 'Remove from comparison' : (comparisonFull ? `Comparison full (${WineCompare.MAX_WINES} wines)` : 'Add to comparison')}
+            </button>
+            ${compareIds.length >= WineCompare.MIN_WINES ? `
+                <button type="button" role="menuitem" data-action="compare-open">
+                    <i class="fas fa-columns"></i> Compare ${compareIds.length} wines
+                </button>
+            ` : ''}
+            <button type="button" role="menuitem" data-action="shortlist">
+                <i class="${starred ? 'fas' : 'far'} fa-star"></i> ${starred ? 'Remove from shortlist' : 'Add to shortlist'}
+            </button>
+            <button type="button" role="menuitem" data-action="details">
+                <i class="fas fa-wine-bottle"></i> Explore wine
+            </button>
+        `;
+
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-action]');
+            if (!item) return;
+            switch (item.dataset.action) {
+                case 'compare':
+                    if (inComparison) {
+                        WineCompare.remove(id);
+                    } else {
+                        WineCompare.add(id);
+                    }
+                    break;
+                case 'compare-open':
+                    window.location.href = WineCompare.url();
+                    break;
+                case 'shortlist':
+                    WineFavorites.toggle(id);
+                    break;
+                case 'details':
+                    window.location.href = `wine-details.html?id=${encodeURIComponent(id)}`;
+                    break;
+            }
+            this.closeWineContextMenu();
+        });
+
+        document.body.appendChild(menu);
+        // Kept inside the viewport
+        const rect = menu.getBoundingClientRect();
+        menu.style.left = `${Math.max(8, Math.min(x, window.innerWidth - rect.width - 8))}px`;
+        menu.style.top = `${Math.max(8, Math.min(y, window.innerHeight - rect.height - 8))}px`;
+        const firstItem = menu.querySelector('button:not([disabled])');
+        if (firstItem) firstItem.focus();
+    }
+
+    closeWineContextMenu() {
+        document.querySelectorAll('.wine-context-menu').forEach(menu => menu.remove());
+    }
+
+    /**
+     * Shortlist page: the guest's starred wines with totals and a QR code for the staff device.
+     * Opened from a shared link (?ids=) it shows that list instead, read-only.
+     */
+    renderShortlistPage() {
+        const container = document.getElementById('shortlistContent');
+        if (!container) return;
+
+        const sharedIds = WineFavorites.parseIds(new URLSearchParams(window.location.search).get('ids'));
+        const shared = sharedIds !== null;
+        const wines = WineFavorites.getWines(this.wines, shared ? sharedIds : WineFavorites.getIds());
+        const totals = WineFavorites.totals(wines);
+        const formatPrice = value => `$${Number.isInteger(value) ? value : value.toFixed(2)}`;
+
+        const title = document.getElementById('shortlistTitle');
+        if (title) title.textContent = shared ? 'SHARED SHORTLIST' : 'MY SHORTLIST';
+
+        if (!wines.length) {
+            container.innerHTML = `
+                <div class="shortlist-empty">
+                    <i class="far fa-star"></i>
+                    <p>${shared ? 'This shortlist is empty or its wines are no longer on the list.' : 'Tap the star on any wine to add it to your shortlist.'}</p>
+                    <a href="./wine-map.html" class="shortlist-action">Explore the wines</a>
+                </div>
+            `;
+            return;
+        }
+
+        const rows = wines.map(wine => {
+            const prices = wine.prices || WineCatalog.parsePrices(wine);
+            const vintage = this.extractYear(wine.wine_vintage);
+            return `
+                <li class="shortlist-item">
+                    <div class="shortlist-item-main">
+                        <a class="shortlist-item-name" href="./wine-details.html?id=${encodeURIComponent(wine.wine_number)}">${escapeHTML(wine.wine_name)}</a>
+                        <span class="shortlist-item-sub">${[wine.wine_producer, wine.region, vintage].filter(Boolean).map(escapeHTML).join(' · ')}</span>
+                    </div>
+                    <div class="shortlist-item-prices">
+                        <span>${typeof prices.bottle === 'number' ? formatPrice(prices.bottle) : (prices.soldOut ? 'Sold out' : '—')}<small>bottle</small></span>
+                        <span>${typeof prices.glass === 'number' ? formatPrice(prices.glass) : '—'}<small>glass</small></span>
+                    </div>
+                    ${shared ? '' : `
+                        <button type="button" class="shortlist-remove" data-shortlist-remove="${escapeHTML(wine.wine_number)}" aria-label="Remove ${escapeHTML(wine.wine_name)}">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    `}
+                </li>
+            `;
+        }).join('');
+
+        const missingNote = (basis) => totals.missing[basis]
+            ? `<small>${totals.missing[basis]} without ${basis} price</small>`
+            : '';
+
+        const shareURL = WineFavorites.shareURL(wines.map(wine => String(wine.wine_number)));
+
+        container.innerHTML = `
+            <p class="shortlist-count">${wines.length} ${wines.length === 1 ? 'wine' : 'wines'}</p>
+            <ul class="shortlist-list">${rows}</ul>
+            <div class="shortlist-totals">
+                <div class="shortlist-total"><span>One bottle each</span><strong>${formatPrice(totals.bottle)}</strong>${missingNote('bottle')}</div>
+                <div class="shortlist-total"><span>One glass each</span><strong>${formatPrice(totals.glass)}</strong>${missingNote('glass')}</div>
+            </div>
+            ${shared ? `
+                <div class="shortlist-actions">
+                    <button type="button" class="shortlist-action" data-shortlist-save>Save to this device</button>
+                </div>
+            ` : `
+                <div class="shortlist-share">
+                    <h3 class="shortlist-share-title">Show this to your sommelier</h3>
+                    <div class="shortlist-qr" id="shortlistQR"></div>
+                    <div class="shortlist-link">
+                        <input type="text" readonly value="${escapeHTML(shareURL)}" aria-label="Shortlist link">
+                        <button type="button" class="shortlist-action" data-shortlist-copy><i class="fas fa-copy"></i> Copy link</button>
+                    </div>
+                </div>
+                <div class="shortlist-actions">
+                    <button type="button" class="shortlist-action secondary" data-shortlist-clear>Clear shortlist</button>
+                </div>
+            `}
+        `;
+
+        // QR code via qrcode-generator (js/vendor); without it the link alone is shown
+        const qrContainer = container.querySelector('#shortlistQR');
+        if (qrContainer) {
+            if (typeof qrcode === 'function') {
+                const qr = qrcode(0, 'M');
+                qr.addData(shareURL);
+                qr.make();
+                qrContainer.innerHTML = qr.createSvgTag({ cellSize: 4, margin: 2, scalable: true });
+            } else {
+                qrContainer.remove();
+            }
+        }
+
+        container.querySelectorAll('[data-shortlist-remove]').forEach(button => {
+            button.addEventListener('click', () => WineFavorites.toggle(button.dataset.shortlistRemove));
+        });
+
+        const copyButton = container.querySelector('[data-shortlist-copy]');
+        if (copyButton) {
+            copyButton.addEventListener('click', async () => {
+                const input = container.querySelector('.shortlist-link input');
+                try {
+                    await navigator.clipboard.writeText(shareURL);
+                } catch (_) {
+                    input.select();
+                    document.execCommand('copy');
+                }
+                copyButton.innerHTML = '<i class="fas fa-check"></i> Copied';
+                setTimeout(() => { copyButton.innerHTML = '<i class="fas fa-copy"></i> Copy link'; }, 2000);
+            });
+        }
+
+        const clearButton = container.querySelector('[data-shortlist-clear]');
+        if (clearButton) {
+            clearButton.addEventListener('click', () => {
+                if (confirm('Remove all wines from your shortlist?')) WineFavorites.clear();
+            });
+        }
+
+        const saveButton = container.querySelector('[data-shortlist-save]');
+        if (saveButton) {
+            saveButton.addEventListener('click', () => {
+                WineFavorites.setIds(wines.map(wine => String(wine.wine_number)));
+                window.location.href = './shortlist.html';
+            });
+        }
+    }
+
+    /**
+     * "Pick for the table" wizard: guests, dishes, budget per bottle and colours,
+     * then one to three wines that cover the dishes (see js/wine-table.js)
+     */
+    async renderTableWizardPage() {
+        const container = document.getElementById('tableWizard');
+        if (!container) return;
+
+        this.tableWizard = { step: 0, guests: 2, dishes: [], budget: null, families: [] };
+        this.tableWizardDishes = await WinePairings.load();
+
+        container.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-wizard]');
+            if (!target) return;
+            const state = this.tableWizard;
+            const value = target.dataset.value;
+
+            switch (target.dataset.wizard) {
+                case 'next':
+                    state.step++;
+                    break;
+                case 'back':
+                    state.step = Math.max(0, state.step - 1);
+                    break;
+                case 'restart':
+                    this.tableWizard = { step: 0, guests: 2, dishes: [], budget: null, families: [] };
+                    break;
+                case 'guests':
+                    state.guests = Math.min(20, Math.max(1, state.guests + Number(value)));
+                    break;
+                case 'dish':
+                    state.dishes = state.dishes.includes(value)
+                        ? state.dishes.filter(dish => dish !== value)
+                        : [...state.dishes, value];
+                    break;
+                case 'budget':
+                    state.budget = value ? Number(value) : null;
+                    break;
+                case 'family':
+                    state.families = !value ? []
+                        : (state.families.includes(value) ? state.families.filter(f => f !== value) : [...state.families, value]);
+                    break;
+                case 'shortlist':
+                    this.tableWizardPicks.forEach(pick => {
+                        if (!WineFavorites.has(pick.wine.wine_number)) WineFavorites.toggle(pick.wine.wine_number);
+                    });
+                    target.innerHTML = '<i class="fas fa-check"></i> Added to your shortlist';
+                    return;
+                default:
+                    return;
+            }
+            this.renderTableWizardStep();
+        });
+
+        this.renderTableWizardStep();
+    }
+
+    renderTableWizardStep() {
+        const container = document.getElementById('tableWizard');
+        const state = this.tableWizard;
+        const steps = ['How many at the table?', 'What did you order?', 'Budget per bottle', 'Any colour preference?'];
+        const chip = (action, value, label, selected) => `
+            <button type="button" class="table-wizard-chip${selected ? ' selected' : ''}" data-wizard="${action}" data-value="${escapeHTML(value)}" aria-pressed="${selected}">${label}</button>
+        `;
+        const nav = (canContinue, nextLabel = 'Next') => `
+            <div class="table-wizard-nav">
+                ${state.step > 0 ? '<button type="button" class="shortlist-action secondary" data-wizard="back">Back</button>' : ''}
+                <button type="button" class="shortlist-action" data-wizard="next"${canContinue ? '' : ' disabled'}>${nextLabel}</button>
+            </div>
+        `;
+
+        if (state.step >= steps.length) {
+            container.innerHTML = this.renderTableWizardResult();
+            return;
+        }
+
+        let body = '';
+        switch (state.step) {
+            case 0:
+                body = `
+                    <div class="table-wizard-guests">
+                        <button type="button" class="table-wizard-stepper" data-wizard="guests" data-value="-1" aria-label="One guest less">−</button>
+                        <span class="table-wizard-count">${state.guests}</span>
+                        <button type="button" class="table-wizard-stepper" data-wizard="guests" data-value="1" aria-label="One guest more">+</button>
+                    </div>
+                    <p class="table-wizard-hint">${state.guests === 1 ? 'guest' : 'guests'}</p>
+                    ${nav(true)}
+                `;
+                break;
+            case 1:
+                body = this.tableWizardDishes.length
+                    ? `
+                        <div class="table-wizard-options">
+                            ${this.tableWizardDishes.map(dish => chip('dish', dish.dish, escapeHTML(dish.dish), state.dishes.includes(dish.dish))).join('')}
+                        </div>
+                        <p class="table-wizard-hint">Choose every dish on the table</p>
+                        ${nav(state.dishes.length > 0)}
+                    `
+                    : '<p class="table-wizard-hint">The dish list is not available right now. Please ask your server.</p>';
+                break;
+            case 2:
+                body = `
+                    <div class="table-wizard-options">
+                        ${[60, 100, 150, 250].map(amount => chip('budget', amount, `Up to $${amount}`, state.budget === amount)).join('')}
+                        ${chip('budget', '', 'No limit', state.budget === null)}
+                    </div>
+                    ${nav(true)}
+                `;
+                break;
+            case 3: {
+                const labels = { 'ROSSO': 'Red', 'BIANCO': 'White', 'ROSATO': 'Rosé', 'ARANCIONE': 'Orange', 'BOLLICINE': 'Sparkling', 'NON ALCOLICO': 'Non-Alcoholic' };
+                body = `
+                    <div class="table-wizard-options">
+                        ${chip('family', '', 'No preference', state.families.length === 0)}
+                        ${WineCatalog.FAMILIES.map(family => chip('family', family, labels[family], state.families.includes(family))).join('')}
+                    </div>
+                    ${nav(true, 'Show my picks')}
+                `;
+                break;
+            }
+        }
+
+        container.innerHTML = `
+            <p class="table-wizard-progress">Step ${state.step + 1} of ${steps.length}</p>
+            <h3 class="table-wizard-question">${steps[state.step]}</h3>
+            ${body}
+        `;
+    }
+
+    renderTableWizardResult() {
+        const state = this.tableWizard;
+        const result = WineTable.plan(state, this.wines, this.tableWizardDishes);
+        this.tableWizardPicks = result.picks;
+
+        const picks = result.picks.map(pick => `
+            <li class="table-wizard-pick">
+                <div class="table-wizard-pick-header">
+                    <a class="shortlist-item-name" href="./wine-details.html?id=${encodeURIComponent(pick.wine.wine_number)}">${escapeHTML(pick.wine.wine_name)}</a>
+                    <span class="table-wizard-pick-cost">${pick.quantity} × ${pick.serving === 'glass' ? 'glass' : 'bottle'} · ${WineTable.formatPrice(pick.cost)}</span>
+                </div>
+                <span class="shortlist-item-sub">${[pick.wine.wine_producer, pick.wine.region].filter(Boolean).map(escapeHTML).join(' · ')}</span>
+                <ul class="table-wizard-reasons">
+                    ${pick.reasons.map(reason => `<li>${escapeHTML(reason)}</li>`).join('')}
+                </ul>
+            </li>
+        `).join('');
+
+        const uncovered = result.uncovered.map(item => `
+            <li><strong>${escapeHTML(item.dish)}</strong>: ${escapeHTML(item.reason)}</li>
+        `).join('');
+
+        return `
+            <h3 class="table-wizard-question">Our picks for ${state.guests} ${state.guests === 1 ? 'guest' : 'guests'}</h3>
+            ${picks ? `<ol class="table-wizard-picks">${picks}</ol>` : '<p class="table-wizard-hint">We could not find a wine for these dishes within your budget and colours. Try a higher budget or another colour.</p>'}
+            ${uncovered ? `<ul class="table-wizard-uncovered">${uncovered}</ul>` : ''}
+            ${picks ? `<p class="table-wizard-total">Estimated total <strong>${WineTable.formatPrice(result.total)}</strong></p>` : ''}
+            <div class="table-wizard-nav">
+                <button type="button" class="shortlist-action secondary" data-wizard="back">Back</button>
+                <button type="button" class="shortlist-action secondary" data-wizard="restart">Start over</button>
+                ${picks ? '<button type="button" class="shortlist-action" data-wizard="shortlist"><i class="fas fa-star"></i> Add to my shortlist</button>' : ''}
+            </div>
+        `;
+    }
+
+    /**
+     * Dish-first view: every GCA dish by region with its recommended wines, best score first.
+     * Recommended wines that are not on the list are flagged rather than left out.
+     */
+    async renderDishesPage() {
+        const container = document.getElementById('dishesContent');
+        if (!container) return;
+
+        const dishes = await WinePairings.load();
+        if (!dishes.length) {
+            container.innerHTML = '<div class="shortlist-empty"><p>The dish pairings are not available right now.</p></div>';
+            return;
+        }
+
+        const groups = WinePairings.groupByRegion(dishes);
+        let total = 0;
+        let unmatched = 0;
+
+        const sections = groups.map(group => `
+            <section class="dishes-region">
+                <h3 class="dishes-region-title">${escapeHTML(group.region)}</h3>
+                ${group.dishes.map(dish => {
+                    const recommendations = WinePairings.getRecommendations(dish, this.wines);
+                    const rows = recommendations.map(recommendation => {
+                        total++;
+                        if (!recommendation.wines.length) unmatched++;
+                        const matches = recommendation.wines.map(wine => {
+                            const prices = wine.prices || WineCatalog.parsePrices(wine);
+                            const price = typeof prices.bottle === 'number' ? `$${prices.bottle}` : (prices.soldOut ? 'Sold out' : '');
+                            return `
+                                <a class="dish-wine-link" href="./wine-details.html?id=${encodeURIComponent(wine.wine_number)}">
+                                    ${escapeHTML(wine.wine_name)}
+                                    <small>${[wine.wine_producer, this.extractYear(wine.wine_vintage), price].filter(Boolean).map(escapeHTML).join(' · ')}</small>
+                                </a>
+                            `;
+                        }).join('');
+                        return `
+                            <li class="dish-wine${recommendation.wines.length ? '' : ' unmatched'}">
+                                <div class="dish-wine-header">
+                                    ${recommendation.score ? `<span class="dish-wine-score" title="GCA score">${recommendation.score}</span>` : ''}
+                                    <span class="dish-wine-name">${escapeHTML(recommendation.name)}</span>
+                                    ${recommendation.wines.length ? '' : `<span class="dish-wine-flag">${recommendation.status === 'ambiguous' ? 'Ask your server' : 'Not on our list'}</span>`}
+                                </div>
+                                ${recommendation.reason ? `<p class="dish-wine-reason">${escapeHTML(recommendation.reason)}</p>` : ''}
+                                ${matches ? `<div class="dish-wine-matches">${matches}</div>` : ''}
+                            </li>
+                        `;
+                    }).join('');
+                    return `
+                        <article class="dish-card" id="dish-${WinePairings.normalizeText(dish.dish).replace(/[^a-z0-9]+/g, '-')}">
+                            <h4 class="dish-name"><i class="fas fa-utensils"></i> ${escapeHTML(dish.dish)}</h4>
+                            <ol class="dish-wines">${rows}</ol>
+                        </article>
+                    `;
+                }).join('')}
+            </section>
+        `).join('');
+
+        container.innerHTML = `
+            <p class="shortlist-count">${dishes.length} dishes · ${total - unmatched} of ${total} recommended wines on our list</p>
+            ${sections}
+        `;
+
+        if (this.isStaffMode()) {
+            container.insertAdjacentHTML('afterbegin', this.renderPairingLinksReport(dishes));
+            container.querySelector('[data-pairings-download]')?.addEventListener('click', () => {
+                this.downloadJSON(WinePairings.withLinks(this.wines, dishes), 'FoodParingWineDetails.json');
+            });
+        }
+
+        // Deep link to a dish (dishes.html#dish-branzino)
+        if (window.location.hash) {
+            document.getElementById(decodeURIComponent(window.location.hash.slice(1)))?.scrollIntoView({ block: 'start' });
+        }
+    }
+
+    /**
+     * Scarica `data` come file JSON (stesso metodo di wine_manager.html)
+     */
+    downloadJSON(data, filename) {
+        const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Staff report (dishes.html?staff=1): recommendations that are ambiguous or not on the list,
+     * with the closest catalog wines, and wine_number links that need a second look (other
+     * vintage, different wines), so the links can be fixed by hand
+     */
+    renderPairingLinksReport(dishes) {
+        const { counts, issues } = WinePairings.report(this.wines, dishes);
+        const rows = issues.map(issue => `
+            <tr>
+                <td>${escapeHTML(issue.dish)}</td>
+                <td>${escapeHTML(issue.name)}</td>
+                <td><span class="pairing-status ${issue.status}">${issue.status}</span>${issue.note ? ` <small>${escapeHTML(issue.note)}</small>` : ''}</td>
+                <td>
+                    ${issue.candidates.length ? `<ul>${(issue.status === 'linked' ? issue.candidates : issue.candidates.slice(0, 3)).map(candidate => `
+                        <li>#${escapeHTML(candidate.wine.wine_number)} ${escapeHTML(candidate.wine.wine_name)} · ${escapeHTML(candidate.wine.wine_producer || '')} ${escapeHTML(candidate.wine.vintageYear || '')} <small>(${Math.round(candidate.score * 100)}%)</small></li>
+                    `).join('')}</ul>` : '—'}
+                </td>
+            </tr>
+        `).join('');
+
+        return `
+            <aside class="pairing-report">
+                <h3 class="pairing-report-title"><i class="fas fa-link"></i> Pairing links (staff)</h3>
+                <p class="pairing-report-summary">
+                    ${counts.linked} linked by wine_number · ${counts.matched} matched ·
+                    ${counts.ambiguous} ambiguous · ${counts.unmatched} not on the list
+                </p>
+                ${issues.length ? `
+                    <table class="catalog-health-table">
+                        <thead><tr><th>Dish</th><th>Recommendation</th><th>Status</th><th>Closest wines</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="catalog-health-ok">Every recommendation is linked to the catalog.</p>'}
+                <p class="pairing-report-summary">
+                    Add <code>"wine_number"</code> to a recommendation in FoodParingWineDetails.json to fix its link.
+                    The download below writes the confident matches as links.
+                </p>
+                <button type="button" class="shortlist-action secondary" data-pairings-download>
+                    <i class="fas fa-download"></i> Download pairings with links
+                </button>
+            </aside>
+        `;
+    }
+
+    /**
+     * Printable wine list (print-list.html): the whole catalog by family, region and
+     * subcategory, with the sections and columns chosen in the panel (see js/wine-print-list.js)
+     */
+    renderPrintListPage() {
+        const controls = document.getElementById('printListControls');
+        if (!controls) return;
+
+        const options = WinePrintList.getOptions();
+        const families = options.families || WineCatalog.FAMILIES;
+        const toggle = (key, label) => `
+            <label><input type="checkbox" data-print-option="${key}"${options[key] ? ' checked' : ''}> ${label}</label>
+        `;
+
+        controls.innerHTML = `
+            <a href="./wine_manager.html"><i class="fas fa-arrow-left"></i> Wine manager</a>
+            <div class="print-field">
+                <label class="print-field-label" for="printListTitle">Title</label>
+                <input type="text" id="printListTitle" data-print-option="title" value="${escapeHTML(options.title)}">
+            </div>
+            <fieldset class="print-field">
+                <legend>Sections</legend>
+                ${WineCatalog.FAMILIES.map(family => `
+                    <label><input type="checkbox" data-print-family="${escapeHTML(family)}"${families.includes(family) ? ' checked' : ''}> ${this.getWineTypeName(family)}</label>
+                `).join('')}
+            </fieldset>
+            <fieldset class="print-field">
+                <legend>Show</legend>
+                ${toggle('toc', 'Contents')}
+                ${toggle('glass', 'Glass prices')}
+                ${toggle('descriptions', 'Descriptions')}
+                ${toggle('soldOut', 'Sold-out wines')}
+            </fieldset>
+            <button type="button" class="print-button" data-print-list><i class="fas fa-print"></i> Print</button>
+        `;
+
+        controls.addEventListener('input', (e) => {
+            const field = e.target;
+            const current = WinePrintList.getOptions();
+            if (field.dataset.printFamily !== undefined) {
+                current.families = [...controls.querySelectorAll('[data-print-family]')]
+                    .filter(box => box.checked)
+                    .map(box => box.dataset.printFamily);
+            } else if (field.dataset.printOption === 'title') {
+                current.title = field.value;
+            } else if (field.dataset.printOption) {
+                current[field.dataset.printOption] = field.checked;
+            } else {
+                return;
+            }
+            WinePrintList.saveOptions(current);
+            this.renderPrintListSheet(current);
+        });
+
+        controls.addEventListener('click', (e) => {
+            if (e.target.closest('[data-print-list]')) window.print();
+        });
+
+        this.renderPrintListSheet(options);
+    }
+
+    renderPrintListSheet(options) {
+        const sheet = document.getElementById('printListSheet');
+        if (!sheet) return;
+
+        const sections = WinePrintList.build(this.wines, options, wine => this.normalizeRegionName(wine.region));
+        const total = sections.reduce((sum, section) => sum + section.count, 0);
+        const generated = new Date().toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' });
+        const stamp = `Generated on ${generated} · ${total} ${total === 1 ? 'wine' : 'wines'}`;
+        const columns = options.glass ? 5 : 4;
+
+        const row = (wine) => {
+            const line = WinePrintList.describe(wine);
+            return `
+                <tr>
+                    <td class="col-bin">${escapeHTML(line.bin)}</td>
+                    <td>
+                        <span class="w-name">${escapeHTML(line.name)}</span><span class="w-producer">${escapeHTML(line.producer)}</span>
+                        ${options.descriptions && line.description ? `<div class="w-desc">${escapeHTML(line.description)}</div>` : ''}
+                    </td>
+                    <td class="col-vintage">${escapeHTML(line.vintage)}</td>
+                    ${options.glass ? `<td class="col-price">${escapeHTML(line.glass)}</td>` : ''}
+                    <td class="col-price">${line.soldOut ? '<span class="sold-out">Sold out</span>' : escapeHTML(line.bottle)}</td>
+                </tr>
+            `;
+        };
+
+        const region = (entry) => `
+            <section class="print-region" id="${entry.id}">
+                <h3 class="cat-title">${escapeHTML(entry.region)} <span class="cat-subtitle">${entry.count} ${entry.count === 1 ? 'wine' : 'wines'}</span></h3>
+                <table class="print-wines">
+                    <thead>
+                        <tr><th>Bin</th><th>Wine</th><th>Vintage</th>${options.glass ? '<th class="col-price">Glass</th>' : ''}<th class="col-price">Bottle</th></tr>
+                    </thead>
+                    ${entry.groups.map(group => `
+                        <tbody>
+                            ${group.subcategoryInfo ? `
+                                <tr class="print-subcategory">
+                                    <th colspan="${columns}">${escapeHTML(group.subcategoryInfo.name)}${group.subcategoryInfo.description ? `<span class="print-subcategory-note">${escapeHTML(group.subcategoryInfo.description)}</span>` : ''}</th>
+                                </tr>
+                            ` : ''}
+                            ${group.wines.map(row).join('')}
+                        </tbody>
+                    `).join('')}
+                </table>
+            </section>
+        `;
+
+        const toc = `
+            <nav class="print-toc" aria-label="Contents">
+                <ol>
+                    ${sections.map(section => `
+                        <li>
+                            <a href="#${section.id}"><span>${this.getWineTypeName(section.family)}</span><span class="print-toc-count">${section.count}</span></a>
+                            <ol>
+                                ${section.regions.map(entry => `
+                                    <li><a href="#${entry.id}"><span>${escapeHTML(entry.region)}</span><span class="print-toc-count">${entry.count}</span></a></li>
+                                `).join('')}
+                            </ol>
+                        </li>
+                    `).join('')}
+                </ol>
+            </nav>
+        `;
+
+        sheet.innerHTML = `
+            <header class="print-header">
+                <h1>${escapeHTML(options.title || WinePrintList.DEFAULTS.title)}</h1>
+                <div class="subhead">Gran Caffè L'Aquila</div>
+                <div class="print-stamp">${stamp}</div>
+            </header>
+            ${!sections.length ? '<p class="print-empty">No wines in the chosen sections.</p>' : `
+                ${options.toc ? toc : ''}
+                ${sections.map(section => `
+                    <section class="print-family" id="${section.id}">
+                        <h2 class="family-title">${this.getWineTypeName(section.family)}</h2>
+                        ${section.regions.map(region).join('')}
+                    </section>
+                `).join('')}
+            `}
+            <footer class="print-footer">${stamp}</footer>
+        `;
+    }
+
     renderWineDetailsPage() {
         const urlParams = new URLSearchParams(window.location.search);
         const wineId = urlParams.get('id');
@@ -987,6 +2091,9 @@ class WineListApp {
             return;
         }
 
+        // Remembered for the home page and the search dropdowns
+        WineHistory.addWine(wine);
+
         // Update wine details
         this.updateWineDetails(wine);
     }
@@ -1012,6 +2119,13 @@ class WineListApp {
             wineName.textContent = wine.wine_name || 'Unknown Wine';
         }
 
+        // Shortlist star in the top bar
+        const favoriteButton = document.getElementById('favoriteWineBtnTop');
+        if (favoriteButton) {
+            favoriteButton.dataset.wineId = wine.wine_number;
+            this.updateFavoriteToggles();
+        }
+
         // Mobile footer removed - price is shown in wine-meta section
 
         // Update page title
@@ -1036,6 +2150,9 @@ class WineListApp {
             console.error('Error updating food pairings:', err);
         });
 
+        // Alternatives for the server when this wine is sold out or over budget
+        this.updateSimilarWines(wine);
+
         // Update producer information (for popup)
         this.updateProducerInfo(wine);
 
@@ -1054,15 +2171,19 @@ class WineListApp {
 
     updateMetaInfo(wine) {
         // Show key information: Producer, Region, Grape, Vintage, Alcohol (layout come in figura)
-        const vintage = this.extractYear(wine.wine_vintage) || 'N/A';
+        // Appellation, tier and vintage are packed together in wine_vintage
+        const appellation = wine.appellation || {};
+        const vintage = wine.vintageYear ? String(wine.vintageYear) : (wine.isNV ? 'NV' : 'N/A');
         const alcohol = wine.alcohol ? `${wine.alcohol}%` : 'N/A';
         
-        const displayPrice = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
-        const priceValue = displayPrice !== 'N/A' ? `$${displayPrice}` : 'N/A';
+        const priceValue = WineCatalog.formatPrice(wine);
         
         const metaItems = [
             { label: 'Producer', value: wine.wine_producer || 'N/A', show: true },
             { label: 'Region', value: wine.region || 'N/A', show: true },
+            { label: 'Appellation', value: appellation.name || 'N/A', show: !!appellation.name },
+            { label: 'Classification', value: appellation.tier || 'N/A', show: !!appellation.tier },
+            { label: 'Zone', value: appellation.zone || 'N/A', show: !!appellation.zone },
             { label: 'Grape', value: wine.varietals || 'N/A', show: !!wine.varietals },
             { label: 'Vintage', value: vintage, show: true },
             { label: 'Alcohol', value: alcohol, show: !!wine.alcohol },
@@ -1249,6 +2370,8 @@ class WineListApp {
                 editBtn: document.getElementById('wineLabEditBtn'),
                 saveBtn: document.getElementById('wineLabSaveBtn'),
                 downloadBtn: document.getElementById('wineLabDownloadBtn'),
+                pdfLayout: document.getElementById('wineLabPdfLayout'),
+                pdfScope: document.getElementById('wineLabPdfScope'),
                 resetBtn: document.getElementById('wineLabResetBtn'),
                 indicator: document.getElementById('wineLabIndicator'),
                 card: document.getElementById('wineLabCard'),
@@ -1256,7 +2379,16 @@ class WineListApp {
                 chartClickables: section.querySelectorAll('.wine-lab-chart-clickable'),
                 radarEditor: document.getElementById('wineLabRadarEditor'),
                 aromaEditor: document.getElementById('wineLabAromaEditor'),
-                radarLegend: document.getElementById('wineLabRadarLegend')
+                aromaChart: document.getElementById('wineLabAromaChart'),
+                radarLegend: document.getElementById('wineLabRadarLegend'),
+                profileNote: document.getElementById('wineLabProfileNote'),
+                resetMenu: document.getElementById('wineLabResetMenu'),
+                historySelect: document.getElementById('wineLabHistory'),
+                saveStatus: document.getElementById('wineLabSaveStatus'),
+                exportBtn: document.getElementById('wineLabExportBtn'),
+                exportAllBtn: document.getElementById('wineLabExportAllBtn'),
+                importBtn: document.getElementById('wineLabImportBtn'),
+                importInput: document.getElementById('wineLabImportInput')
             };
             this.wineLab.elements = elements;
 
@@ -1323,9 +2455,34 @@ class WineListApp {
 
             elements.toggleBtn?.addEventListener('click', this.wineLab.togglePanel);
             elements.editBtn?.addEventListener('click', () => this.wineLab.setEditMode());
-            elements.saveBtn?.addEventListener('click', () => this.wineLab.setEditMode(false));
+            elements.saveBtn?.addEventListener('click', () => this.wineLab.saveCard());
             elements.downloadBtn?.addEventListener('click', () => this.wineLab.downloadCard());
-            elements.resetBtn?.addEventListener('click', () => this.wineLab.resetCard());
+            elements.resetBtn?.addEventListener('click', () => {
+                if (elements.resetMenu) {
+                    elements.resetMenu.hidden = !elements.resetMenu.hidden;
+                } else {
+                    this.wineLab.resetCard();
+                }
+            });
+            elements.resetMenu?.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-reset]');
+                if (!button) return;
+                elements.resetMenu.hidden = true;
+                this.wineLab.resetCard(button.dataset.reset);
+            });
+            elements.exportBtn?.addEventListener('click', () => this.wineLab.exportCard());
+            elements.exportAllBtn?.addEventListener('click', () => this.wineLab.exportAll());
+            elements.importBtn?.addEventListener('click', () => elements.importInput?.click());
+            elements.importInput?.addEventListener('change', async () => {
+                const file = elements.importInput.files[0];
+                elements.importInput.value = '';
+                if (file) await this.wineLab.importCards(await file.text());
+            });
+            elements.historySelect?.addEventListener('change', () => {
+                const version = WineLabStore.getHistory(this.wineLab.wineId)[elements.historySelect.value];
+                if (version) this.wineLab.applyCard(version.card);
+                elements.historySelect.value = '';
+            });
 
             elements.chartClickables.forEach(clickable => {
                 clickable.addEventListener('click', () => {
@@ -1337,94 +2494,182 @@ class WineListApp {
                 });
             });
 
-            this.wineLab.radarMetrics = ['body', 'tannins', 'alcohol', 'persistence', 'acidity', 'complexity'];
-            this.wineLab.aromaMetrics = ['redFruit', 'blackFruit', 'floral', 'vanilla', 'spice', 'earth', 'coffee'];
-
             this.wineLab.updateRadarChart = () => {
                 if (!this.wineLab.data) return;
-                const values = this.wineLab.radarMetrics.map(metric => this.wineLab.data.radar[metric]);
-                const centerX = 200;
-                const centerY = 150;
-                const radius = 80;
-                const angleIncrement = (Math.PI * 2) / 6;
-
-                const points = [];
-                values.forEach((value, i) => {
-                    const angle = i * angleIncrement - Math.PI / 2;
-                    const r = (value / 10) * radius;
-                    const x = centerX + r * Math.cos(angle);
-                    const y = centerY + r * Math.sin(angle);
-                    points.push(`${x},${y}`);
-                    const point = document.getElementById(`wineLabRadarPoint${i + 1}`);
-                    if (point) {
-                        point.setAttribute('cx', x);
-                        point.setAttribute('cy', y);
-                    }
-                });
+                const { radarAxes: axes, radar, radarLabels } = this.wineLab.data;
+                const count = axes.length;
+                const ring = level => WineRadar.toAttribute(axes.map((_, i) => WineRadar.point(i, level, count)));
+                const points = WineRadar.points(radar, axes);
+
+                const grid = document.getElementById('wineLabRadarGrid');
+                if (grid) {
+                    grid.innerHTML = [WineRadar.MAX_VALUE, 7.5, 5]
+                        .map(level => `<polygon points="${ring(level)}" fill="var(--wine-lab-light-bg)" stroke="var(--wine-lab-accent)" stroke-width="1"/>`)
+                        .join('') + axes.map((_, i) => {
+                            const end = WineRadar.point(i, WineRadar.MAX_VALUE, count);
+                            return `<line x1="${WineRadar.CENTER_X}" y1="${WineRadar.CENTER_Y}" x2="${end.x}" y2="${end.y}" stroke="rgba(212, 175, 55, 0.3)" stroke-width="1"/>`;
+                        }).join('');
+                }
+
+                const labels = document.getElementById('wineLabRadarLabels');
+                if (labels) {
+                    labels.innerHTML = axes.map((axis, i) => {
+                        const pos = WineRadar.labelPosition(i, count);
+                        return `<text x="${pos.x}" y="${pos.y}" font-family="Cormorant, serif" font-size="14" fill="var(--ivory)" text-anchor="${pos.anchor}">${escapeHTML(radarLabels[axis])}</text>`;
+                    }).join('');
+                }
 
                 const polygon = document.getElementById('wineLabRadarPolygon');
                 if (polygon) {
-                    polygon.setAttribute('points', points.join(' '));
-                }
-
-                // Update radar labels
-                if (this.wineLab.data.radarLabels) {
-                    const labelPositions = [
-                        { id: 'wineLabRadarLabel1', x: 200, y: 65, anchor: 'middle' }, // Body
-                        { id: 'wineLabRadarLabel2', x: 280, y: 110, anchor: 'start' }, // Tannins
-                        { id: 'wineLabRadarLabel3', x: 280, y: 190, anchor: 'start' }, // Alcohol
-                        { id: 'wineLabRadarLabel4', x: 200, y: 240, anchor: 'middle' }, // Persistence
-                        { id: 'wineLabRadarLabel5', x: 120, y: 190, anchor: 'end' }, // Acidity
-                        { id: 'wineLabRadarLabel6', x: 120, y: 110, anchor: 'end' }  // Complexity
-                    ];
-                    
-                    this.wineLab.radarMetrics.forEach((metric, i) => {
-                        const labelEl = document.getElementById(labelPositions[i].id);
-                        if (labelEl && this.wineLab.data.radarLabels[metric]) {
-                            labelEl.textContent = this.wineLab.data.radarLabels[metric];
-                        }
-                    });
+                    polygon.setAttribute('points', WineRadar.toAttribute(points));
+                }
+
+                // Punti vuoti = valori stimati (nessun tasting profile)
+                const dots = document.getElementById('wineLabRadarPoints');
+                if (dots) {
+                    dots.innerHTML = points.map(({ x, y }, i) => this.wineLab.isInferred('radar', axes[i])
+                        ? `<circle cx="${x}" cy="${y}" r="4" fill="none" stroke="var(--wine-lab-primary)" stroke-width="1.5"/>`
+                        : `<circle cx="${x}" cy="${y}" r="4" fill="var(--wine-lab-primary)"/>`).join('');
                 }
 
                 if (elements.radarLegend) {
                     elements.radarLegend.textContent = this.wineLab.data.legend;
                 }
+                this.wineLab.updateProfileNote();
             };
 
             this.wineLab.updateAromaChart = () => {
                 if (!this.wineLab.data) return;
-                this.wineLab.aromaMetrics.forEach((aroma, index) => {
-                    const bar = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Bar`);
-                    const label = document.getElementById(`wineLabAromaLabel${index + 1}`);
-                    if (bar) {
-                        bar.setAttribute('width', this.wineLab.data.aroma[aroma]);
-                    }
-                    if (label) {
-                        label.textContent = this.wineLab.data.aromaNames[aroma];
+                const { aromaAxes: axes, aroma, aromaNames } = this.wineLab.data;
+                const rowHeight = 35;
+                const scaleY = 70 + axes.length * rowHeight + 20;
+
+                const bars = document.getElementById('wineLabAromaBars');
+                if (bars) {
+                    bars.innerHTML = axes.map((axis, i) => {
+                        const y = 70 + i * rowHeight;
+                        const opacity = this.wineLab.isInferred('aroma', axis) ? '0.45' : '1';
+                        return `<rect x="120" y="${y}" width="200" height="25" fill="var(--wine-lab-light-bg)" stroke="var(--wine-lab-accent)" stroke-width="1"/>
+                            <text x="115" y="${y + 17}" font-family="Cormorant, serif" font-size="14" fill="var(--ivory)" text-anchor="end">${escapeHTML(aromaNames[axis])}</text>
+                            <rect x="120" y="${y}" width="${aroma[axis]}" height="25" fill="rgba(var(--wine-lab-rgb-primary),0.7)" fill-opacity="${opacity}"/>`;
+                    }).join('');
+                }
+
+                const scale = document.getElementById('wineLabAromaScale');
+                if (scale) {
+                    scale.innerHTML = `<text x="120" y="${scaleY}" font-family="Cormorant, serif" font-size="12" fill="var(--ivory)">Low</text>
+                        <text x="220" y="${scaleY}" font-family="Cormorant, serif" font-size="12" fill="var(--ivory)" text-anchor="middle">Medium</text>
+                        <text x="320" y="${scaleY}" font-family="Cormorant, serif" font-size="12" fill="var(--ivory)" text-anchor="end">High</text>
+                        <line x1="120" y1="${scaleY + 5}" x2="320" y2="${scaleY + 5}" stroke="rgba(212, 175, 55, 0.3)" stroke-width="1"/>
+                        ${[120, 220, 320].map(x => `<line x1="${x}" y1="${scaleY + 3}" x2="${x}" y2="${scaleY + 7}" stroke="rgba(212, 175, 55, 0.3)" stroke-width="1"/>`).join('')}`;
+                }
+                elements.aromaChart?.setAttribute('viewBox', `0 0 400 ${scaleY + 20}`);
+                this.wineLab.updateProfileNote();
+            };
+
+            this.wineLab.isInferred = (group, metric) => {
+                return Boolean(this.wineLab.data?.inferred?.[group].includes(metric));
+            };
+
+            this.wineLab.updateProfileNote = () => {
+                if (!elements.profileNote || !this.wineLab.data) return;
+                const { inferred, radarAxes, aromaAxes } = this.wineLab.data;
+                const names = inferred.radar.filter(metric => radarAxes.includes(metric))
+                    .map(metric => this.wineLab.data.radarLabels[metric] || metric);
+                if (inferred.aroma.some(aroma => aromaAxes.includes(aroma))) names.push('aromas');
+                elements.profileNote.hidden = names.length === 0;
+                elements.profileNote.textContent = this.wineLab.defaults?.hasProfile
+                    ? `Estimated: ${names.join(', ')}. Hollow points and pale bars are not from the tasting profile.`
+                    : 'No tasting profile on file: values are estimated from the wine\'s style (hollow points, pale bars).';
+            };
+
+            // Gruppi di assi modificabili: struttura (radar) e aromi
+            const axisGroups = {
+                radar: {
+                    axes: 'radarAxes', values: 'radar', labels: 'radarLabels',
+                    editor: elements.radarEditor, limits: WineLabAxes.RADAR_LIMITS, range: [1, 10],
+                    nameClass: 'wine-lab-radar-label-input', display: value => value,
+                    update: () => this.wineLab.updateRadarChart()
+                },
+                aroma: {
+                    axes: 'aromaAxes', values: 'aroma', labels: 'aromaNames',
+                    editor: elements.aromaEditor, limits: WineLabAxes.AROMA_LIMITS, range: [0, 200],
+                    nameClass: 'wine-lab-aroma-name', display: value => Math.round(value / 20),
+                    update: () => this.wineLab.updateAromaChart()
+                }
+            };
+
+            /**
+             * Righe dell'editor per gli assi della card: nome, valore, rimuovi; più "aggiungi asse"
+             */
+            this.wineLab.renderAxisEditor = (group) => {
+                const config = axisGroups[group];
+                const list = config.editor?.querySelector('.wine-lab-axis-list');
+                if (!list || !this.wineLab.data) return;
+                const data = this.wineLab.data;
+                const axes = data[config.axes];
+                const [min, max] = config.limits;
+
+                list.innerHTML = axes.map(axis => `
+                    <div class="wine-lab-slider-item" data-axis="${escapeHTML(axis)}">
+                        <input type="text" class="${config.nameClass}" data-role="name" value="${escapeHTML(data[config.labels][axis])}" aria-label="Axis name">
+                        <input type="range" min="${config.range[0]}" max="${config.range[1]}" value="${data[config.values][axis]}" data-role="value" aria-label="${escapeHTML(data[config.labels][axis])}">
+                        <span data-role="display">${config.display(data[config.values][axis])}</span>
+                        <button type="button" class="wine-lab-axis-remove" data-role="remove" title="Remove this axis" aria-label="Remove ${escapeHTML(data[config.labels][axis])}"${axes.length <= min ? ' disabled' : ''}>×</button>
+                    </div>
+                `).join('');
+
+                const form = config.editor.querySelector('.wine-lab-axis-add');
+                if (form) {
+                    form.querySelector('button').disabled = axes.length >= max;
+                    form.querySelector('input').placeholder = axes.length >= max ? `Up to ${max} axes` : 'Add an axis…';
+                    const options = form.querySelector('datalist');
+                    if (options) {
+                        options.innerHTML = Object.entries(WineLabAxes.catalog(group))
+                            .filter(([key]) => !axes.includes(key))
+                            .map(([, label]) => `<option value="${escapeHTML(label)}"></option>`)
+                            .join('');
                     }
-                });
+                }
+            };
+
+            this.wineLab.addAxis = (group, name) => {
+                const config = axisGroups[group];
+                const data = this.wineLab.data;
+                const axes = data[config.axes];
+                const label = String(name || '').trim();
+                if (!label || axes.length >= config.limits[1]) return false;
+
+                const key = WineLabAxes.keyFor(group, label, axes);
+                if (axes.includes(key)) return false;
+                const estimate = this.getWineLabAxisValue(this.wineLab.wine, group, key);
+                axes.push(key);
+                data[config.values][key] = estimate.value;
+                data[config.labels][key] = key.startsWith('custom-') ? label : WineLabAxes.label(group, key);
+                if (estimate.inferred) data.inferred[group].push(key);
+
+                this.wineLab.renderAxisEditor(group);
+                config.update();
+                return true;
+            };
+
+            this.wineLab.removeAxis = (group, axis) => {
+                const config = axisGroups[group];
+                const data = this.wineLab.data;
+                if (data[config.axes].length <= config.limits[0]) return;
+                data[config.axes] = data[config.axes].filter(item => item !== axis);
+                delete data[config.values][axis];
+                delete data[config.labels][axis];
+                data.inferred[group] = data.inferred[group].filter(item => item !== axis);
+
+                this.wineLab.renderAxisEditor(group);
+                config.update();
             };
 
             this.wineLab.syncControls = () => {
                 if (!this.wineLab.data) return;
-                this.wineLab.radarMetrics.forEach(metric => {
-                    const slider = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Slider`);
-                    const valueSpan = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Value`);
-                    const nameInput = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Name`);
-                    if (slider) slider.value = this.wineLab.data.radar[metric];
-                    if (valueSpan) valueSpan.textContent = this.wineLab.data.radar[metric];
-                    if (nameInput && this.wineLab.data.radarLabels) {
-                        nameInput.value = this.wineLab.data.radarLabels[metric] || metric.charAt(0).toUpperCase() + metric.slice(1);
-                    }
-                });
-                this.wineLab.aromaMetrics.forEach(aroma => {
-                    const slider = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Slider`);
-                    const valueSpan = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Value`);
-                    const nameInput = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Name`);
-                    if (slider) slider.value = this.wineLab.data.aroma[aroma];
-                    if (valueSpan) valueSpan.textContent = Math.round(this.wineLab.data.aroma[aroma] / 20);
-                    if (nameInput) nameInput.value = this.wineLab.data.aromaNames[aroma];
-                });
+                this.wineLab.renderAxisEditor('radar');
+                this.wineLab.renderAxisEditor('aroma');
             };
 
             this.wineLab.applyFields = (fields) => {
@@ -1438,9 +2683,11 @@ class WineListApp {
                 });
             };
 
-            this.wineLab.downloadCard = async () => {
-                if (!elements.card || !window.html2canvas) return;
-                
+            /**
+             * PDF vettoriale (WineLabPDF): questa card così com'è nell'editor, oppure tutte le card
+             * della regione o della tipologia, salvate o di default, una per pagina
+             */
+            this.wineLab.downloadCard = () => {
                 // Verifica se jsPDF è disponibile (può essere window.jspdf.jsPDF o window.jsPDF)
                 let jsPDFClass;
                 if (window.jspdf && window.jspdf.jsPDF) {
@@ -1453,136 +2700,234 @@ class WineListApp {
                     return;
                 }
 
-                const wasEditing = this.wineLab.editMode;
-                if (wasEditing) {
-                    this.wineLab.setEditMode(false);
-                }
-                elements.section.querySelector('.wine-lab-controls')?.classList.add('wine-lab-hidden');
-                elements.section.querySelector('.wine-lab-indicator')?.classList.remove('active');
+                const wine = this.wineLab.wine;
+                const layout = elements.pdfLayout?.value || 'tent';
+                const scope = elements.pdfScope?.value || 'card';
+                const slug = text => String(text).toLowerCase().replace(/\s+/g, '-');
 
                 try {
-                    // Genera canvas ad alta risoluzione
-                    const canvas = await window.html2canvas(elements.card, {
-                        scale: 3,
-                        useCORS: true,
-                        logging: false,
-                        allowTaint: false,
-                        backgroundColor: '#1A1A1A',
-                        windowWidth: elements.card.scrollWidth,
-                        windowHeight: elements.card.scrollHeight
-                    });
+                    let entries;
+                    let filename;
+                    if (scope === 'card') {
+                        entries = [this.getWineLabPrintCard(wine, this.wineLab.getCard())];
+                        filename = `${slug(this.wineLab.data?.filename || 'wine-card')}-${layout}.pdf`;
+                    } else {
+                        entries = this.getWineLabBatch(wine, scope).map(item => this.getWineLabPrintCard(item));
+                        const group = scope === 'region' ? wine.region : this.wineLab.defaults.wineType;
+                        filename = `wine-lab-${slug(group)}-${layout}.pdf`;
+                    }
+                    WineLabPDF.create(entries, layout, jsPDFClass).save(filename);
+                } catch (error) {
+                    console.error('Error generating Wine Lab PDF:', error);
+                    alert('Error generating PDF. Please try again.');
+                }
+            };
 
-                    // Converti pixel a mm (1 pixel = 0.264583 mm a 96 DPI)
-                    const pxToMm = 0.264583;
-                    const imgWidthMM = canvas.width * pxToMm;
-                    const imgHeightMM = canvas.height * pxToMm;
+            /**
+             * Scelta delle card del PDF: questa, la sua regione o la sua tipologia, con il numero di pagine
+             */
+            this.wineLab.renderPdfScope = () => {
+                const select = elements.pdfScope;
+                if (!select) return;
+                const wine = this.wineLab.wine;
+                const count = scope => this.getWineLabBatch(wine, scope).length;
+                const options = [['card', 'This card']];
+                if (wine.region) options.push(['region', `All from ${wine.region} (${count('region')})`]);
+                options.push(['family', `All ${this.wineLab.defaults.wineType} wines (${count('family')})`]);
+                select.innerHTML = options
+                    .map(([value, label]) => `<option value="${value}">${escapeHTML(label)}</option>`)
+                    .join('');
+            };
 
-                    // Crea PDF con dimensione personalizzata per adattarsi perfettamente all'immagine (una pagina unica)
-                    const pdf = new jsPDFClass({
-                        orientation: imgHeightMM > imgWidthMM ? 'portrait' : 'landscape',
-                        unit: 'mm',
-                        format: [imgWidthMM, imgHeightMM]
-                    });
+            /**
+             * Stato dell'editor da salvare: testi, valori dei grafici e cosa è ancora stimato
+             */
+            this.wineLab.getCard = () => {
+                const data = this.wineLab.data;
+                const fields = {};
+                elements.editables.forEach(el => {
+                    const field = el.getAttribute('data-field');
+                    if (field && !(field in fields)) fields[field] = el.textContent.trim();
+                });
+                return {
+                    fields,
+                    radarAxes: [...data.radarAxes],
+                    radar: { ...data.radar },
+                    radarLabels: { ...data.radarLabels },
+                    aromaAxes: [...data.aromaAxes],
+                    aroma: { ...data.aroma },
+                    aromaNames: { ...data.aromaNames },
+                    legend: data.legend,
+                    filename: data.filename,
+                    inferred: {
+                        radar: [...data.inferred.radar],
+                        aroma: [...data.inferred.aroma]
+                    }
+                };
+            };
+
+            /**
+             * Carica una card salvata sopra i default del vino; una card vuota ({}) riporta ai default
+             */
+            this.wineLab.applyCard = (card) => {
+                const defaults = this.wineLab.defaults;
+                if (!defaults) return;
+                const { fields, ...data } = this.mergeWineLabCard(this.wineLab.wine, defaults, card);
+                this.wineLab.data = data;
+                this.wineLab.applyFields(fields);
+                this.wineLab.syncControls();
+                this.wineLab.updateRadarChart();
+                this.wineLab.updateAromaChart();
+            };
+
+            this.wineLab.saveCard = () => {
+                if (!this.wineLab.data) return;
+                this.wineLab.setEditMode(false);
+                const version = WineLabStore.save(this.wineLab.wineId, this.wineLab.getCard());
+                if (!version) {
+                    alert('Could not save the card: this browser\'s storage is full or unavailable.');
+                }
+                this.wineLab.renderSaved();
+            };
 
-                    // Aggiungi immagine al PDF con qualità massima
-                    const imgData = canvas.toDataURL('image/png', 1.0);
-                    pdf.addImage(imgData, 'PNG', 0, 0, imgWidthMM, imgHeightMM, undefined, 'FAST');
+            /**
+             * target: 'saved' (last saved version) or 'defaults' (from the catalog)
+             */
+            this.wineLab.resetCard = (target = 'defaults') => {
+                const saved = target === 'saved' ? WineLabStore.getLatest(this.wineLab.wineId) : null;
+                this.wineLab.applyCard(saved || {});
+            };
+
+            this.wineLab.exportCard = () => {
+                if (!this.wineLab.data) return;
+                const wine = this.wines.find(item => String(item.wine_number) === this.wineLab.wineId);
+                const file = WineLabStore.toExport([{
+                    wine_number: this.wineLab.wineId,
+                    wine_name: wine?.wine_name,
+                    card: this.wineLab.getCard()
+                }]);
+                const name = (this.wineLab.data.filename || 'wine-card').toLowerCase().replace(/\s+/g, '-');
+                this.downloadJSON(file, `${name}.wine-lab.json`);
+            };
+
+            this.wineLab.exportAll = () => {
+                const file = WineLabStore.exportAll(this.wines);
+                if (!file.cards.length) {
+                    alert('No saved Wine Lab cards on this device yet.');
+                    return;
+                }
+                this.downloadJSON(file, `wine-lab-cards-${new Date().toISOString().slice(0, 10)}.json`);
+            };
+
+            /**
+             * Importa un file di export (una card o tutte). Se un vino ha già una card diversa
+             * si chiede se sostituirla; quella vecchia resta comunque nella cronologia.
+             */
+            this.wineLab.importCards = async (text) => {
+                let entries;
+                try {
+                    entries = WineLabStore.parseImport(text);
+                } catch (error) {
+                    alert(`Could not import: ${error.message}.`);
+                    return;
+                }
+                if (!entries.length) {
+                    alert('Could not import: the file has no valid cards.');
+                    return;
+                }
 
-                    // Scarica il PDF
-                    const filename = `${(this.wineLab.data?.filename || 'wine-card').toLowerCase().replace(/\s+/g, '-')}.pdf`;
-                    pdf.save(filename);
-                } catch (error) {
-                    console.error('Error generating Wine Lab PDF:', error);
-                    alert('Error generating PDF. Please try again.');
-                } finally {
-                    elements.section.querySelector('.wine-lab-controls')?.classList.remove('wine-lab-hidden');
-                    if (wasEditing) {
-                        this.wineLab.setEditMode(true);
-                        elements.section.querySelector('.wine-lab-indicator')?.classList.add('active');
+                let imported = 0;
+                let kept = 0;
+                entries.forEach(entry => {
+                    const current = WineLabStore.getLatest(entry.wine_number);
+                    if (current && !WineLabStore.sameCard(current, entry.card)) {
+                        const wine = this.wines.find(item => String(item.wine_number) === entry.wine_number);
+                        const name = wine ? `${wine.wine_name}${wine.wine_producer ? ` (${wine.wine_producer})` : ''}` : `Wine #${entry.wine_number}`;
+                        const replace = confirm(`${name} already has a Wine Lab card on this device.\n\nOK: replace it with the imported card (yours stays in the version history).\nCancel: keep yours.`);
+                        if (!replace) {
+                            kept += 1;
+                            return;
+                        }
                     }
+                    if (WineLabStore.save(entry.wine_number, entry.card)) imported += 1;
+                });
+
+                if (entries.some(entry => entry.wine_number === this.wineLab.wineId)) {
+                    this.wineLab.applyCard(WineLabStore.getLatest(this.wineLab.wineId) || {});
                 }
+                this.wineLab.renderSaved();
+                alert(`Imported ${imported} ${imported === 1 ? 'card' : 'cards'}${kept ? `, kept ${kept} already on this device` : ''}.`);
             };
 
-            this.wineLab.resetCard = () => {
-                if (!this.wineLab.defaults) return;
-                this.wineLab.data = {
-                    radar: { ...this.wineLab.defaults.radar },
-                    radarLabels: { ...this.wineLab.defaults.radarLabels },
-                    aroma: { ...this.wineLab.defaults.aroma },
-                    aromaNames: { ...this.wineLab.defaults.aromaNames },
-                    legend: this.wineLab.defaults.chartLegend,
-                    filename: this.wineLab.defaults.fileName
-                };
-                this.wineLab.applyFields(this.wineLab.defaults);
-                this.wineLab.syncControls();
-                this.wineLab.updateRadarChart();
-                this.wineLab.updateAromaChart();
-            };
+            this.wineLab.renderSaved = () => {
+                const history = WineLabStore.getHistory(this.wineLab.wineId);
+                const format = (time) => new Date(time).toLocaleString([], { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' });
 
-            this.wineLab.radarMetrics.forEach(metric => {
-                const slider = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Slider`);
-                const valueSpan = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Value`);
-                const nameInput = document.getElementById(`wineLab${metric.charAt(0).toUpperCase() + metric.slice(1)}Name`);
-                
-                if (slider) {
-                    slider.addEventListener('input', () => {
-                        this.wineLab.data.radar[metric] = parseInt(slider.value, 10);
-                        if (valueSpan) valueSpan.textContent = slider.value;
-                        this.wineLab.updateRadarChart();
-                    });
+                const lastSavedBtn = elements.resetMenu?.querySelector('[data-reset="saved"]');
+                if (lastSavedBtn) lastSavedBtn.disabled = history.length === 0;
+                if (elements.saveStatus) {
+                    elements.saveStatus.textContent = history.length
+                        ? `Saved ${format(history[0].savedAt)}${history.length > 1 ? ` · ${history.length} versions` : ''}`
+                        : 'Not saved yet';
                 }
-
-                if (nameInput) {
-                    nameInput.addEventListener('input', () => {
-                        if (!this.wineLab.data.radarLabels) {
-                            this.wineLab.data.radarLabels = {};
-                        }
-                        this.wineLab.data.radarLabels[metric] = nameInput.value;
-                        this.wineLab.updateRadarChart();
-                    });
+                if (elements.historySelect) {
+                    elements.historySelect.hidden = history.length < 2;
+                    elements.historySelect.innerHTML = '<option value="">Earlier versions…</option>' + history
+                        .map((version, index) => `<option value="${index}">${index === 0 ? 'Latest: ' : ''}${format(version.savedAt)}</option>`)
+                        .join('');
                 }
-            });
+            };
 
-            this.wineLab.aromaMetrics.forEach(aroma => {
-                const slider = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Slider`);
-                const valueSpan = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Value`);
-                const nameInput = document.getElementById(`wineLab${aroma.charAt(0).toUpperCase() + aroma.slice(1)}Name`);
+            Object.entries(axisGroups).forEach(([group, config]) => {
+                if (!config.editor) return;
+
+                config.editor.addEventListener('input', (e) => {
+                    const row = e.target.closest('[data-axis]');
+                    if (!row) return;
+                    const axis = row.dataset.axis;
+                    const data = this.wineLab.data;
+                    if (e.target.dataset.role === 'value') {
+                        data[config.values][axis] = parseInt(e.target.value, 10);
+                        data.inferred[group] = data.inferred[group].filter(item => item !== axis);
+                        row.querySelector('[data-role="display"]').textContent = config.display(e.target.value);
+                    } else if (e.target.dataset.role === 'name') {
+                        data[config.labels][axis] = e.target.value;
+                    }
+                    config.update();
+                });
 
-                if (slider) {
-                    slider.addEventListener('input', () => {
-                        this.wineLab.data.aroma[aroma] = parseInt(slider.value, 10);
-                        if (valueSpan) valueSpan.textContent = Math.round(slider.value / 20);
-                        this.wineLab.updateAromaChart();
-                    });
-                }
+                config.editor.addEventListener('click', (e) => {
+                    const button = e.target.closest('[data-role="remove"]');
+                    if (button) this.wineLab.removeAxis(group, button.closest('[data-axis]').dataset.axis);
+                });
 
-                if (nameInput) {
-                    nameInput.addEventListener('input', () => {
-                        this.wineLab.data.aromaNames[aroma] = nameInput.value;
-                        this.wineLab.updateAromaChart();
-                    });
-                }
+                config.editor.querySelector('.wine-lab-axis-add')?.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    const input = e.target.querySelector('input');
+                    if (this.wineLab.addAxis(group, input.value)) {
+                        input.value = '';
+                    } else if (input.value.trim()) {
+                        input.setCustomValidity('Already on the chart');
+                        input.reportValidity();
+                    }
+                });
+                config.editor.querySelector('.wine-lab-axis-add input')?.addEventListener('input', (e) => {
+                    e.target.setCustomValidity('');
+                });
             });
 
             this.wineLab.initialized = true;
         }
 
-        const defaults = this.getWineLabDefaults(wine);
-        this.wineLab.defaults = defaults;
-        this.wineLab.data = {
-            radar: { ...defaults.radar },
-            radarLabels: { ...defaults.radarLabels },
-            aroma: { ...defaults.aroma },
-            aromaNames: { ...defaults.aromaNames },
-            legend: defaults.chartLegend,
-            filename: defaults.fileName
-        };
-
-        this.wineLab.applyFields(defaults);
-        this.wineLab.syncControls();
+        // La card salvata per questo vino, se c'è, altrimenti i default
+        this.wineLab.wine = wine;
+        this.wineLab.wineId = String(wine.wine_number);
+        this.wineLab.defaults = this.getWineLabDefaults(wine);
+        if (this.wineLab.elements.resetMenu) this.wineLab.elements.resetMenu.hidden = true;
+        this.wineLab.applyCard(WineLabStore.getLatest(this.wineLab.wineId) || {});
+        this.wineLab.renderSaved();
+        this.wineLab.renderPdfScope();
         this.applyWineLabTheme(wine);
-        this.wineLab.updateRadarChart();
-        this.wineLab.updateAromaChart();
     }
 
     getWineLabDefaults(wine) {
@@ -1603,6 +2948,17 @@ class WineListApp {
         const wineName = wine.wine_name || 'Wine Name';
         const producer = wine.wine_producer || 'Producer';
         const fullWineName = `${wineName} ${vintage}`.trim();
+        const profile = WineProfile.resolve(wine);
+
+        // Assi del modello della famiglia (WineLabAxes)
+        const template = WineLabAxes.getTemplate(wine);
+        const radar = WineRadar.fromProfile(profile, template.radar);
+
+        // Aromi del profilo in ordine di importanza, gli altri restano bassi
+        const aroma = {};
+        template.aroma.forEach(key => {
+            aroma[key] = this.getWineLabAromaValue(profile, key);
+        });
 
         return {
             winery: producer,
@@ -1610,14 +2966,14 @@ class WineListApp {
             vintage,
             wineType: typeLabel,
             fullWineName,
-            classification: wine.wine_classification || wine.wine_appellation || wine.region || 'Classification / Appellation',
+            classification: wine.wine_classification || WineCatalog.formatAppellation(wine.appellation) || wine.region || 'Classification / Appellation',
             producer,
             grapes: wine.varietals || 'Grapes',
             vintageSpec: vintage,
             alcohol: wine.alcohol ? `${wine.alcohol}%` : 'N/A',
             aging: wine.aging || 'Aging details',
             servingTemp: wine.serving_temp || '16-18°C',
-            cellaring: wine.cellaring || 'N/A',
+            cellaring: wine.cellaring || (profile.window.inferred ? 'N/A' : profile.window.label),
             vintageYear: vintage,
             vintageDescription: description,
             foodPairings,
@@ -1630,46 +2986,105 @@ class WineListApp {
             footerWine: wineName,
             chartLegend: fullWineName,
             fileName: fullWineName,
-            radar: {
-                body: 6,
-                tannins: 6,
-                alcohol: 6,
-                persistence: 6,
-                acidity: 6,
-                complexity: 6
-            },
-            radarLabels: {
-                body: 'Body',
-                tannins: 'Tannins',
-                alcohol: 'Alcohol',
-                persistence: 'Persistence',
-                acidity: 'Acidity',
-                complexity: 'Complexity'
+            radar: radar.values,
+            hasProfile: profile.hasData,
+            inferred: {
+                radar: radar.inferred,
+                aroma: profile.aromas.inferred ? Object.keys(aroma) : []
             },
-            aroma: {
-                redFruit: 80,
-                blackFruit: 80,
-                floral: 60,
-                vanilla: 60,
-                spice: 60,
-                earth: 40,
-                coffee: 40
-            },
-            aromaNames: {
-                redFruit: 'Red Fruit',
-                blackFruit: 'Black Fruit',
-                floral: 'Floral',
-                vanilla: 'Vanilla',
-                spice: 'Spice',
-                earth: 'Earth',
-                coffee: 'Coffee'
+            radarAxes: template.radar,
+            radarLabels: template.labels.radar,
+            aroma,
+            aromaAxes: template.aroma,
+            aromaNames: template.labels.aroma
+        };
+    }
+
+    /**
+     * Barra di un aroma (0-200): alta se è tra gli aromi del profilo, più alta quanto più è in evidenza
+     */
+    getWineLabAromaValue(profile, key) {
+        const rank = profile.aromas.value.indexOf(key);
+        return rank === -1 ? 40 : Math.max(100, 180 - rank * 20);
+    }
+
+    /**
+     * Card completa: una card salvata (anche parziale, o {}) sopra i default del vino
+     */
+    mergeWineLabCard(wine, defaults, card) {
+        const fields = {};
+        Object.entries(defaults).forEach(([key, value]) => {
+            if (typeof value !== 'object') fields[key] = String(value);
+        });
+        // Le card salvate prima dei modelli per famiglia hanno i valori ma non l'elenco degli assi: tengono quelli di allora
+        const axesOf = (group, axes, values) => [...(Array.isArray(axes) && axes.length ? axes
+            : (values && Object.keys(values).length ? WineLabAxes.LEGACY[group] : defaults[`${group}Axes`]))];
+
+        const merged = {
+            fields: { ...fields, ...card.fields },
+            radarAxes: axesOf('radar', card.radarAxes, card.radar),
+            radar: { ...defaults.radar, ...card.radar },
+            radarLabels: { ...defaults.radarLabels, ...card.radarLabels },
+            aromaAxes: axesOf('aroma', card.aromaAxes, card.aroma),
+            aroma: { ...defaults.aroma, ...card.aroma },
+            aromaNames: { ...defaults.aromaNames, ...card.aromaNames },
+            legend: card.legend || defaults.chartLegend,
+            filename: card.filename || defaults.fileName,
+            inferred: {
+                radar: [...(card.inferred ? card.inferred.radar : defaults.inferred.radar)],
+                aroma: [...(card.inferred ? card.inferred.aroma : defaults.inferred.aroma)]
             }
         };
+
+        // Assi senza valore o nome (fuori dal modello del vino): stima dal profilo, nome del catalogo
+        [['radar', 'radarLabels'], ['aroma', 'aromaNames']].forEach(([group, labels]) => {
+            merged[`${group}Axes`].forEach(axis => {
+                if (!Number.isFinite(merged[group][axis])) {
+                    const estimate = this.getWineLabAxisValue(wine, group, axis);
+                    merged[group][axis] = estimate.value;
+                    if (estimate.inferred && !merged.inferred[group].includes(axis)) merged.inferred[group].push(axis);
+                }
+                if (!merged[labels][axis]) merged[labels][axis] = WineLabAxes.label(group, axis);
+            });
+        });
+        return merged;
     }
 
-    applyWineLabTheme(wine) {
-        const section = document.getElementById('wineLabSection');
-        if (!section) return;
+    /**
+     * Valore iniziale di un asse aggiunto a una card: { value, inferred }
+     */
+    getWineLabAxisValue(wine, group, axis) {
+        const profile = WineProfile.resolve(wine);
+        if (group === 'radar') {
+            const radar = WineRadar.fromProfile(profile, [axis]);
+            return { value: radar.values[axis], inferred: radar.inferred.includes(axis) };
+        }
+        return { value: this.getWineLabAromaValue(profile, axis), inferred: profile.aromas.inferred };
+    }
+
+    /**
+     * Card da stampare per un vino qualsiasi: l'ultima salvata, altrimenti i default, con i colori del tema
+     */
+    getWineLabPrintCard(wine, card = null) {
+        const saved = card || WineLabStore.getLatest(wine.wine_number) || {};
+        return { ...this.mergeWineLabCard(wine, this.getWineLabDefaults(wine), saved), theme: this.getWineLabTheme(wine) };
+    }
+
+    /**
+     * Vini di un PDF a più card: stessa regione o stessa tipologia del vino aperto
+     */
+    getWineLabBatch(wine, scope) {
+        if (scope === 'region') {
+            return this.wines.filter(item => item.region && item.region === wine.region);
+        }
+        if (scope === 'family') {
+            const family = this.getWineFamily(wine.wine_type, wine.subcategory || wine.wine_subcategory);
+            return this.wines.filter(item => this.getWineFamily(item.wine_type, item.subcategory || item.wine_subcategory) === family);
+        }
+        return [wine];
+    }
+
+    getWineLabTheme(wine) {
         const family = this.getWineFamily(wine.wine_type, wine.subcategory || wine.wine_subcategory);
         const themes = {
             'ROSSO': { primary: '#6b1a1a', accent: '#C5A059', dark: '#2b0f10', lightBg: '#FDFBF7', rgb: '107,26,26' },
@@ -1679,7 +3094,13 @@ class WineListApp {
             'BOLLICINE': { primary: '#6b6e7a', accent: '#D3D6E4', dark: '#3d3f46', lightBg: '#F7F8FB', rgb: '107,110,122' },
             'NON ALCOLICO': { primary: '#2f6f64', accent: '#A8D5C8', dark: '#1b3f39', lightBg: '#F5FBF8', rgb: '47,111,100' }
         };
-        const theme = themes[family] || themes.ROSSO;
+        return themes[family] || themes.ROSSO;
+    }
+
+    applyWineLabTheme(wine) {
+        const section = document.getElementById('wineLabSection');
+        if (!section) return;
+        const theme = this.getWineLabTheme(wine);
 
         section.style.setProperty('--wine-lab-primary', theme.primary);
         section.style.setProperty('--wine-lab-accent', theme.accent);
@@ -1822,9 +3243,10 @@ class WineListApp {
             // Build HTML: generic pairings first
             let html = genericPairings.map(pairing => `
                 <div class="pairing-item" 
-                     ${pairing.reason ? `title="${pairing.reason}"` : ''}>
+                     ${pairing.reason ? `title="${escapeHTML(pairing.reason)}"` : ''}>
                     <i class="${pairing.icon} pairing-icon"></i>
                     <h3 class="pairing-name">${pairing.name}</h3>
+                    ${pairing.reason ? `<p class="pairing-reason">${escapeHTML(pairing.reason)}</p>` : ''}
                 </div>
             `).join('');
             
@@ -1845,115 +3267,50 @@ class WineListApp {
         }
     }
 
+    updateSimilarWines(wine) {
+        const section = document.getElementById('similarWines');
+        const list = document.getElementById('similarWinesList');
+        if (!section || !list) return;
+
+        const matches = WineSimilar.find(wine, this.wines);
+        section.hidden = matches.length === 0;
+        list.innerHTML = matches.map(({ wine: match, reasons }) => {
+            const prices = match.prices || WineCatalog.parsePrices(match);
+            const price = typeof prices.bottle === 'number' ? `$${prices.bottle}`
+                : (typeof prices.glass === 'number' ? `$${prices.glass} a glass` : '');
+            return `
+                <a class="similar-wine" href="./wine-details.html?id=${encodeURIComponent(match.wine_number)}">
+                    <span class="similar-wine-name">${escapeHTML(match.wine_name)}</span>
+                    <span class="similar-wine-producer">${escapeHTML(match.wine_producer || '')}${price ? ` · ${price}` : ''}</span>
+                    <span class="similar-wine-why">${escapeHTML(reasons.join(' · '))}</span>
+                </a>
+            `;
+        }).join('');
+    }
+
     getFoodPairings(wine) {
         const personalizedPairings = [];
         
-        // Check for personalized pairings from Gran Caffè dishes
-        if (this.foodPairingsData && wine && wine.wine_name) {
-            const wineNameNormalized = wine.wine_name.toLowerCase().trim();
-            const wineProducerNormalized = wine.wine_producer ? wine.wine_producer.toLowerCase().trim() : '';
-            
-            console.log('🔍 Searching pairings for:', {
-                wineName: wine.wine_name,
-                producer: wine.wine_producer,
-                normalizedName: wineNameNormalized,
-                normalizedProducer: wineProducerNormalized
-            });
-            
-            // Find dishes that recommend this wine
+        // Gran Caffè dishes whose recommendations link to this wine (see WinePairings.match)
+        if (this.foodPairingsData && wine) {
             this.foodPairingsData.forEach(dish => {
-                if (dish.wines && Array.isArray(dish.wines)) {
-                    const matchingWine = dish.wines.find(rec => {
-                        const recNameNormalized = rec.name.toLowerCase().trim();
-                        
-                        // Simple check: does the recommendation contain the wine name?
-                        const nameInRec = recNameNormalized.includes(wineNameNormalized);
-                        const recInName = wineNameNormalized.includes(recNameNormalized.split('–')[0].trim().split(' ')[0]);
-                        
-                        // Check producer match if both exist
-                        let producerInRec = false;
-                        if (wineProducerNormalized) {
-                            producerInRec = recNameNormalized.includes(wineProducerNormalized);
-                        }
-                        
-                        // Match if: name is found in recommendation OR (name matches AND producer matches if available)
-                        const matches = nameInRec || recInName || (nameInRec && producerInRec);
-                        
-                        if (matches) {
-                            console.log('✅ Match found!', {
-                                recommendation: rec.name,
-                                dish: dish.dish,
-                                wineName: wine.wine_name,
-                                producer: wine.wine_producer
-                            });
-                        }
-                        
-                        return matches;
+                const recommendation = (dish.wines || []).find(rec =>
+                    WinePairings.resolve(rec, this.wines).some(match => match.wine_number === wine.wine_number)
+                );
+                if (recommendation) {
+                    personalizedPairings.push({
+                        name: dish.dish,
+                        icon: 'fas fa-utensils',
+                        isPersonalized: true,
+                        gcaScore: recommendation['GCA score'],
+                        reason: recommendation.reason
                     });
-                    
-                    if (matchingWine) {
-                        personalizedPairings.push({
-                            name: dish.dish,
-                            icon: 'fas fa-utensils',
-                            isPersonalized: true,
-                            gcaScore: matchingWine['GCA score'],
-                            reason: matchingWine.reason
-                        });
-                    }
                 }
             });
-            
-            console.log('🍽️ Found personalized pairings:', personalizedPairings.length, personalizedPairings);
-        } else {
-            console.warn('⚠️ Cannot search pairings:', {
-                hasData: !!this.foodPairingsData,
-                hasWine: !!wine,
-                hasWineName: !!(wine && wine.wine_name)
-            });
         }
         
-        // Get generic pairings as fallback/supplement
-        const genericPairings = {
-            'ROSSO': [
-                { name: 'Roasted Meats', icon: 'fas fa-drumstick-bite' },
-                { name: 'Aged Cheeses', icon: 'fas fa-cheese' },
-                { name: 'Pasta with Red Sauce', icon: 'fas fa-utensils' },
-                { name: 'Dark Chocolate', icon: 'fas fa-cookie-bite' }
-            ],
-            'BIANCO': [
-                { name: 'Seafood', icon: 'fas fa-fish' },
-                { name: 'Light Pasta', icon: 'fas fa-utensils' },
-                { name: 'Fresh Salads', icon: 'fas fa-leaf' },
-                { name: 'Soft Cheeses', icon: 'fas fa-cheese' }
-            ],
-            'ROSATO': [
-                { name: 'Grilled Fish', icon: 'fas fa-fish' },
-                { name: 'Light Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Summer Salads', icon: 'fas fa-leaf' },
-                { name: 'Fresh Fruits', icon: 'fas fa-apple-alt' }
-            ],
-            'ARANCIONE': [
-                { name: 'Aged Cheeses', icon: 'fas fa-cheese' },
-                { name: 'Spiced Dishes', icon: 'fas fa-pepper-hot' },
-                { name: 'Roasted Vegetables', icon: 'fas fa-carrot' },
-                { name: 'Cured Meats', icon: 'fas fa-bacon' }
-            ],
-            'BOLLICINE': [
-                { name: 'Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Celebration Foods', icon: 'fas fa-birthday-cake' },
-                { name: 'Light Desserts', icon: 'fas fa-ice-cream' },
-                { name: 'Fresh Oysters', icon: 'fas fa-fish' }
-            ],
-            'NON ALCOLICO': [
-                { name: 'Fruit Platters', icon: 'fas fa-apple-alt' },
-                { name: 'Light Appetizers', icon: 'fas fa-cookie-bite' },
-                { name: 'Salads', icon: 'fas fa-leaf' },
-                { name: 'Desserts', icon: 'fas fa-ice-cream' }
-            ]
-        };
-        
-        // Get generic pairings first
-        const genericList = genericPairings[wine.wine_type] || genericPairings['ROSSO'];
+        // Generic pairings from the wine's own attributes (family, method, grapes, aging)
+        const genericList = WineFoodRules.suggest(wine);
         
         // Then add personalized GCA pairings below (up to 4)
         const gcaPairings = personalizedPairings.slice(0, 4);
@@ -2138,27 +3495,15 @@ class WineListApp {
     }
 
     applyFilters() {
-        // Helper function to check if a wine contains the varietal as a complete varietal
-        const wineContainsVarietal = (wine, searchVarietal) => {
-            if (!wine.varietals || !searchVarietal) return false;
-            const wineVarietals = wine.varietals.split(',').map(v => v.trim().toLowerCase());
-            const searchLower = searchVarietal.toLowerCase();
-            // Check if the varietal appears as a complete varietal (exact match after splitting by comma)
-            return wineVarietals.some(v => v === searchLower);
-        };
-        
-        this.filteredWines = this.wines.filter(wine => {
-            const matchesType = !this.currentFilters.type || this.wineMatchesFamily(wine, this.currentFilters.type);
-            const matchesRegion = !this.currentFilters.region || wine.region === this.currentFilters.region;
-            const matchesVarietal = !this.currentFilters.varietal || wineContainsVarietal(wine, this.currentFilters.varietal);
-            const matchesSearch = !this.currentFilters.search || 
-                wine.wine_name.toLowerCase().includes(this.currentFilters.search) ||
-                wine.region.toLowerCase().includes(this.currentFilters.search) ||
-                (wine.varietals && wine.varietals.toLowerCase().includes(this.currentFilters.search));
-            
-            return matchesType && matchesRegion && matchesVarietal && matchesSearch;
-        });
+        // Same result set for grid and table view: both render this.filteredWines
+        this.filteredWines = this.getFilteredWines();
+
+        const countElement = document.querySelector('.wines-count');
+        if (countElement) {
+            countElement.textContent = `${this.filteredWines.length} wines`;
+        }
 
+        this.renderFacetPanel();
         this.renderWines();
     }
 
@@ -2536,6 +3881,7 @@ class WineListApp {
             });
         } else {
             this.applyFilters();
+            this.syncURLState();
         }
     }
 
@@ -2704,6 +4050,78 @@ class WineListApp {
         }, 5000);
     }
 
+    /**
+     * Staff mode: enabled with ?staff=1 and remembered on this device, ?staff=0 turns it off
+     */
+    isStaffMode() {
+        const staffParam = new URLSearchParams(window.location.search).get('staff');
+        try {
+            if (staffParam !== null) {
+                localStorage.setItem('staffMode', staffParam === '1' ? 'true' : 'false');
+            }
+            return localStorage.getItem('staffMode') === 'true';
+        } catch (_) {
+            return staffParam === '1';
+        }
+    }
+
+    /**
+     * Catalog health panel (staff only): lists the wines.json rows rejected by WineSchema
+     * and the reason, so they can be fixed in the menu export
+     */
+    renderCatalogHealthPanel() {
+        const report = this.catalogReport;
+        if (!report || !this.isStaffMode()) return;
+
+        const existing = document.getElementById('catalogHealthPanel');
+        if (existing) existing.remove();
+
+        const rows = report.rejected.map(row => {
+            const errors = row.errors
+                .map(error => `<li><strong>${escapeHTML(error.field)}</strong> ${escapeHTML(error.message)}</li>`)
+                .join('');
+            return `
+                <tr>
+                    <td>${escapeHTML(row.wine_number !== null ? row.wine_number : '—')}</td>
+                    <td>${escapeHTML(row.wine_name || '(no name)')}</td>
+                    <td><ul>${errors}</ul></td>
+                </tr>
+            `;
+        }).join('');
+
+        const panel = document.createElement('aside');
+        panel.id = 'catalogHealthPanel';
+        panel.className = 'catalog-health-panel' + (report.rejected.length > 0 ? ' has-errors' : '');
+        panel.innerHTML = `
+            <button type="button" class="catalog-health-toggle" aria-expanded="false">
+                <i class="fas ${report.rejected.length > 0 ? 'fa-exclamation-triangle' : 'fa-check-circle'}"></i>
+                Catalog health: ${report.accepted}/${report.total - report.excluded.length} wines listed
+                ${report.rejected.length > 0 ? `· ${report.rejected.length} rejected` : ''}
+            </button>
+            <div class="catalog-health-body" hidden>
+                <p class="catalog-health-summary">
+                    ${report.total} rows in wines.json · ${report.accepted} listed ·
+                    ${report.rejected.length} rejected · ${report.excluded.length} excluded (spritz bar)
+                </p>
+                ${report.rejected.length > 0 ? `
+                    <table class="catalog-health-table">
+                        <thead><tr><th>#</th><th>Wine</th><th>Problems</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                ` : '<p class="catalog-health-ok">All rows passed validation.</p>'}
+            </div>
+        `;
+
+        const toggle = panel.querySelector('.catalog-health-toggle');
+        const body = panel.querySelector('.catalog-health-body');
+        toggle.addEventListener('click', () => {
+            body.hidden = !body.hidden;
+            toggle.setAttribute('aria-expanded', String(!body.hidden));
+        });
+
+        document.body.appendChild(panel);
+    }
+
     // Utility functions
     getWineTypeName(type) {
         const typeNames = {
@@ -2719,80 +4137,12 @@ class WineListApp {
 
     // Helper function to determine wine family from wine_type and subcategory
     getWineFamily(wineType, subcategory = null) {
-        // First check subcategory if wine_type is not clear
-        if (subcategory) {
-            const subcat = subcategory.toUpperCase();
-            // Check for non-alcoholic first (priority) - handle both singular and plural
-            if (subcat.includes('NON ALCOLICO') || subcat.includes('NON ALCOLICI') || 
-                subcat.includes('NON-ALCOHOLIC') || subcat.includes("0.0")) {
-                return 'NON ALCOLICO';
-            }
-            if (subcat.includes('BIANCO') || subcat === 'WHITE') {
-                return 'BIANCO';
-            }
-            if (subcat.includes('ROSSO') || subcat === 'RED') {
-                return 'ROSSO';
-            }
-            if (subcat.includes('ROSATO') || subcat === 'ROSE' || subcat === 'ROSY') {
-                return 'ROSATO';
-            }
-            if (subcat.includes('ARANCIONE') || subcat === 'ORANGE') {
-                return 'ARANCIONE';
-            }
-            if (subcat.includes('BOLLICINE') || subcat.includes('SPARKLING') || 
-                subcat.includes('METODO CLASSICO') || subcat.includes('CHARMAT') || 
-                subcat.includes('ANCESTRAL') || subcat.includes('MARTINOTTI')) {
-                return 'BOLLICINE';
-            }
-        }
-        
-        if (!wineType) return 'ROSSO'; // Default fallback
-        
-        const type = wineType.toUpperCase();
-        
-        // Non-alcoholic wines (check first to avoid conflicts) - handle both singular and plural
-        if (type.includes('NON ALCOLICO') || type.includes('NON ALCOLICI') || 
-            type.includes('VINI NON ALCOLICI') || type.includes('NON-ALCOHOLIC') || type.includes("0.0")) {
-            return 'NON ALCOLICO';
-        }
-        // Sparkling wine variations
-        if (type.includes('BOLLICINE') || type.includes('SPARKLING')) {
-            return 'BOLLICINE';
-        }
-        
-        // Rosé wine variations
-        if (type.includes('ROSATO') || type.includes('ROSE') || type.includes('ROSY')) {
-            return 'ROSATO';
-        }
-        
-        // White wine variations
-        if (type.includes('ARANCIONE') || type.includes('ORANGE')) {
-            return 'ARANCIONE';
-        }
-        if (type.includes('BIANCO') || type.includes('WHITE')) {
-            return 'BIANCO';
-        }
-        
-        // Red wine variations
-        if (type.includes('ROSSO') || type.includes('RED') || type.includes('AMARONE') || type.includes('BAROLO') || 
-            type.includes('SUPERTUSCAN') || type.includes('SUPERIORE') || type.includes('RIPASSO')) {
-            return 'ROSSO';
-        }
-        
-        // Default fallback
-        return 'ROSSO';
+        return WineCatalog.classifyFamily(wineType, subcategory);
     }
 
     // Helper function to check if wine matches a specific family
     wineMatchesFamily(wine, targetFamily) {
-        // Special check for non-alcoholic wines: check alcohol field first
-        if (targetFamily === 'NON ALCOLICO') {
-            if (wine.alcohol && (wine.alcohol === '0.0%' || wine.alcohol === '0.0' || wine.alcohol === '0%' || wine.alcohol === '0')) {
-                return true;
-            }
-        }
-        const wineFamily = this.getWineFamily(wine.wine_type, wine.subcategory);
-        return wineFamily === targetFamily;
+        return WineCatalog.matchesFamily(wine, targetFamily);
     }
 
     // Debug function to log wine family distribution
@@ -3160,9 +4510,8 @@ class WineListApp {
     }
 
     extractYear(vintage) {
-        if (!vintage) return 'N/A';
-        const yearMatch = vintage.match(/\b(19|20)\d{2}\b/);
-        return yearMatch ? yearMatch[0] : 'N/A';
+        const year = WineCatalog.parseVintageYear(vintage);
+        return year ? String(year) : 'N/A';
     }
 }
 
@@ -3501,6 +4850,7 @@ function initWineTypeFilters() {
                         if (typeof selectedRegion !== 'undefined') {
                             selectedRegion = null;
                         }
+                        WineURLState.update({ type: wineType, region: null, quick: null, varietal: null });
                         // Note: updateMapColors already handles all layer styling, no need to do it manually here
                                 } else {
                         console.warn('⚠️ Map container or updateMapColors function not available');
@@ -4678,22 +6028,7 @@ function initInteractiveMap() {
                 
                 // If URL has region parameter, select and show that region
                 if (urlRegion && geoJsonLayer) {
-                    waitForWineApp(() => {
-                        // Find the region on the map
-                        geoJsonLayer.eachLayer(function(layer) {
-                            const mapRegionName = layer._regionName;
-                            if (mapRegionName) {
-                                // Normalize region names for comparison
-                                const normalizedMapRegion = window.wineApp ? window.wineApp.normalizeRegionName(mapRegionName) : mapRegionName;
-                                const normalizedUrlRegion = window.wineApp ? window.wineApp.normalizeRegionName(urlRegion) : urlRegion;
-                                
-                                if (normalizedMapRegion === normalizedUrlRegion || mapRegionName === urlRegion) {
-                                    // Select this region
-                                    selectRegion(layer, mapRegionName);
-                                }
-                            }
-                        });
-                    });
+                    waitForWineApp(() => selectRegionByName(urlRegion));
                 }
             })
             .catch(error => {
@@ -5089,7 +6424,7 @@ function initInteractiveMap() {
                     wineCard.className = 'mobile-wine-card';
                     wineCard.dataset.wineId = wine.wine_number;
                     
-                    const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                    const price = WineCatalog.formatPrice(wine);
                     const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                     const producer = wine.wine_producer || 'Unknown Producer';
                     const subcategory = wine.subcategory || '';
@@ -5105,7 +6440,7 @@ function initInteractiveMap() {
                                 </div>
                             ` : ''}
                         </div>
-                        <span class="mobile-wine-price">$${price}</span>
+                        <span class="mobile-wine-price">${price}</span>
                         <i class="fas fa-chevron-right" style="color: var(--gold);"></i>
                     `;
                     wineCard.addEventListener('click', () => {
@@ -5156,6 +6491,7 @@ function initInteractiveMap() {
                             if (chip.classList.contains('active')) {
                                 chip.classList.remove('active');
                                 mobileCurrentWineType = null;
+                                WineURLState.update({ type: null });
                                 updateMobileMapColors(null);
                                 closeMobileWineTypePopup();
                                 return;
@@ -5166,6 +6502,7 @@ function initInteractiveMap() {
                             });
                             chip.classList.add('active');
                             mobileCurrentWineType = type;
+                            WineURLState.update({ type: type });
                             updateMobileMapColors(type);
                             // Open popup with regions for this wine type
                             openMobileWineTypePopup(type);
@@ -5731,6 +7068,7 @@ function initInteractiveMap() {
                 dashArray: '10, 5'
             });
             layer.bringToFront();
+            WineURLState.update({ region: regionName, quick: null, varietal: null });
 33            // Show region info first, then wines list will be shown when user closes the info panel
             showMobileRegionInfo(regionName, mobileCurrentWineType);
         }
@@ -6041,6 +7379,7 @@ function initInteractiveMap() {
             const backBtn = document.getElementById('mobileBackToMapBtn');
             const typeFiltersContainer = document.getElementById('mobileWinesCardsTypeFilters');
             if (!mapView || !winesContainer || !winesGrid || !window.wineApp) return;
+            WineURLState.update({ region: regionName, quick: null, varietal: null });
             waitForWineApp(() => {
                 if (!window.wineApp || !window.wineApp.wines) return;
                 mapView.style.display = 'none';
@@ -6153,7 +7492,7 @@ function initInteractiveMap() {
                         wineCard.className = 'mobile-wine-card-grid';
                         wineCard.dataset.wineId = wine.wine_number;
                         
-                        const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                        const price = WineCatalog.formatPrice(wine);
                         const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                         const producer = wine.wine_producer || 'Unknown Producer';
                         // Remove trailing "100%" from wine name
@@ -6163,7 +7502,7 @@ function initInteractiveMap() {
                                 <div class="mobile-wine-card-grid-name">${wineName}</div>
                                 <div class="mobile-wine-card-grid-producer">${producer}</div>
                                 ${vintage !== 'N/A' ? `<div class="mobile-wine-card-grid-vintage">${vintage}</div>` : '<div class="mobile-wine-card-grid-vintage"></div>'}
-                                <div class="mobile-wine-card-grid-price">$${price}</div>
+                                <div class="mobile-wine-card-grid-price">${price}</div>
                             </div>
                         `;
                         wineCard.addEventListener('click', (e) => {
@@ -6232,6 +7571,7 @@ function initInteractiveMap() {
             const backBtn = document.getElementById('mobileBackToMapBtn');
             const typeFiltersContainer = document.getElementById('mobileWinesCardsTypeFilters');
             if (!mapView || !winesContainer || !winesGrid || !window.wineApp) return;
+            WineURLState.update({ varietal: varietalName, region: null, quick: null });
             waitForWineApp(() => {
                 if (!window.wineApp || !window.wineApp.wines) return;
                 mapView.style.display = 'none';
@@ -6321,7 +7661,7 @@ function initInteractiveMap() {
                         wineCard.className = 'mobile-wine-card-grid';
                         wineCard.dataset.wineId = wine.wine_number;
                         
-                        const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                        const price = WineCatalog.formatPrice(wine);
                         const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                         const producer = wine.wine_producer || 'Unknown Producer';
                         // Remove trailing "100%" from wine name
@@ -6329,7 +7669,7 @@ function initInteractiveMap() {
                         wineCard.innerHTML = `
                             <div class="mobile-wine-card-grid-header">
                                 <div class="mobile-wine-card-grid-name">${wineName}</div>
-                                <div class="mobile-wine-card-grid-price">$${price}</div>
+                                <div class="mobile-wine-card-grid-price">${price}</div>
                             </div>
                             <div class="mobile-wine-card-grid-info">
                                 <div class="mobile-wine-card-grid-producer">${producer}</div>
@@ -6501,7 +7841,7 @@ function initInteractiveMap() {
                         wineCard.className = 'mobile-wine-card-grid';
                         wineCard.dataset.wineId = wine.wine_number;
                         
-                        const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                        const price = WineCatalog.formatPrice(wine);
                         const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                         const producer = wine.wine_producer || 'Unknown Producer';
                         // Remove trailing "100%" from wine name
@@ -6509,7 +7849,7 @@ function initInteractiveMap() {
                         wineCard.innerHTML = `
                             <div class="mobile-wine-card-grid-header">
                                 <div class="mobile-wine-card-grid-name">${wineName}</div>
-                                <div class="mobile-wine-card-grid-price">$${price}</div>
+                                <div class="mobile-wine-card-grid-price">${price}</div>
                             </div>
                             <div class="mobile-wine-card-grid-info">
                                 <div class="mobile-wine-card-grid-producer">${producer}</div>
@@ -7035,7 +8375,7 @@ function initInteractiveMap() {
             wineCard.className = 'mobile-wine-card-grid';
             wineCard.dataset.wineId = wine.wine_number;
             
-            const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+            const price = WineCatalog.formatPrice(wine);
             const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
             const producer = wine.wine_producer || 'Unknown Producer';
             // Remove trailing "100%" from wine name
@@ -7045,11 +8385,14 @@ function initInteractiveMap() {
                     <div class="mobile-wine-card-grid-name">${wineName}</div>
                     <div class="mobile-wine-card-grid-producer">${producer}</div>
                     ${vintage !== 'N/A' ? `<div class="mobile-wine-card-grid-vintage">${vintage}</div>` : '<div class="mobile-wine-card-grid-vintage"></div>'}
-                    <div class="mobile-wine-card-grid-price">$${price}</div>
+                    <div class="mobile-wine-card-grid-price">${price}</div>
+                    ${window.wineApp ? window.wineApp.favoriteToggleHTML(wine) : ''}
                 </div>
             `;
             
             wineCard.addEventListener('click', (e) => {
+                // The star toggles the shortlist without opening the wine
+                if (e.target.closest('.favorite-toggle')) return;
                 wineCard.classList.add('selected');
                 const rect = wineCard.getBoundingClientRect();
                 const x = e.clientX - rect.left;
@@ -7078,6 +8421,7 @@ function initInteractiveMap() {
             
             if (!mapView || !winesContainer || !winesGrid || !window.wineApp) return;
             
+            WineURLState.update({ quick: filterType, region: null, varietal: null });
             waitForWineApp(() => {
                 if (!window.wineApp || !window.wineApp.wines) return;
                 
@@ -7195,7 +8539,7 @@ function initInteractiveMap() {
                         wineCard.className = 'mobile-wine-card-grid';
                         wineCard.dataset.wineId = wine.wine_number;
                         
-                        const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                        const price = WineCatalog.formatPrice(wine);
                         const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                         const producer = wine.wine_producer || 'Unknown Producer';
                         // Remove trailing "100%" from wine name
@@ -7205,7 +8549,7 @@ function initInteractiveMap() {
                                 <div class="mobile-wine-card-grid-name">${wineName}</div>
                                 <div class="mobile-wine-card-grid-producer">${producer}</div>
                                 ${vintage !== 'N/A' ? `<div class="mobile-wine-card-grid-vintage">${vintage}</div>` : '<div class="mobile-wine-card-grid-vintage"></div>'}
-                                <div class="mobile-wine-card-grid-price">$${price}</div>
+                                <div class="mobile-wine-card-grid-price">${price}</div>
                             </div>
                         `;
                         wineCard.addEventListener('click', (e) => {
@@ -7398,7 +8742,7 @@ function initInteractiveMap() {
                         wineCard.className = 'mobile-wine-card-grid';
                         wineCard.dataset.wineId = wine.wine_number;
                         
-                        const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                        const price = WineCatalog.formatPrice(wine);
                         const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                         const producer = wine.wine_producer || 'Unknown Producer';
                         // Remove trailing "100%" from wine name
@@ -7408,7 +8752,7 @@ function initInteractiveMap() {
                                 <div class="mobile-wine-card-grid-name">${wineName}</div>
                                 <div class="mobile-wine-card-grid-producer">${producer}</div>
                                 ${vintage !== 'N/A' ? `<div class="mobile-wine-card-grid-vintage">${vintage}</div>` : '<div class="mobile-wine-card-grid-vintage"></div>'}
-                                <div class="mobile-wine-card-grid-price">$${price}</div>
+                                <div class="mobile-wine-card-grid-price">${price}</div>
                             </div>
                         `;
                         wineCard.addEventListener('click', (e) => {
@@ -7657,8 +9001,24 @@ function initInteractiveMap() {
             loadMobileMenuCategories();
             loadMobileWineTypeChips();
             initializeMobileMap();
+            // Shared links open the same list on mobile (the desktop map selects urlRegion itself)
+            const params = WineURLState.params();
+            if (window.innerWidth <= 1024 && (params.get('region') || params.get('quick') || params.get('varietal'))) {
+                applyMapURLState(params);
+            }
         });
         
+        // Back/forward through region, type and quick search changes
+        WineURLState.onChange(applyMapURLState);
+        
+        // Leaving a mobile wines list clears its region, varietal or quick search from the URL
+        const mobileBackToMapButton = document.getElementById('mobileBackToMapBtn');
+        if (mobileBackToMapButton) {
+            mobileBackToMapButton.addEventListener('click', () => {
+                WineURLState.update({ region: null, quick: null, varietal: null });
+            });
+        }
+        
         // Note: initWineTypeFilters() is called globally at the end of the file
         // No need to call it here to avoid duplicate initialization
         // Back to map button
@@ -7878,10 +9238,80 @@ function initInteractiveMap() {
                 });
             }
             
+            WineURLState.update({ region: regionName, quick: null, varietal: null });
+            
             // Show region info first (wines list will be shown when user closes it)
             showRegionInfo(regionName, currentWineType);
         }
         
+        // Selects a region on the desktop map from its name (URL parameter or history)
+        function selectRegionByName(regionName) {
+            if (!geoJsonLayer || !regionName) return false;
+            let found = false;
+            geoJsonLayer.eachLayer(function(layer) {
+                const mapRegionName = layer._regionName;
+                if (!mapRegionName || found) return;
+                // Normalize region names for comparison
+                const normalizedMapRegion = window.wineApp ? window.wineApp.normalizeRegionName(mapRegionName) : mapRegionName;
+                const normalizedRegion = window.wineApp ? window.wineApp.normalizeRegionName(regionName) : regionName;
+                
+                if (normalizedMapRegion === normalizedRegion || mapRegionName === regionName) {
+                    selectRegion(layer, mapRegionName);
+                    found = true;
+                }
+            });
+            return found;
+        }
+        
+        /**
+         * Puts the map back in the state stored in the query string
+         * (type, region, quick search, varietal). Used on back/forward.
+         */
+        function applyMapURLState(params) {
+            const type = params.get('type');
+            const region = WineURLState.decode(params.get('region'));
+            const quick = params.get('quick');
+            const varietal = WineURLState.decode(params.get('varietal'));
+            
+            // Mobile and tablet layout
+            if (window.innerWidth <= 1024) {
+                mobileCurrentWineType = type;
+                document.querySelectorAll('.mobile-wine-type-chip').forEach(chip => {
+                    chip.classList.toggle('active', chip.dataset.type === type);
+                });
+                updateMobileMapColors(type);
+                
+                if (quick === 'organic' || quick === 'fancy') {
+                    showMobileWinesForQuickSearch(quick);
+                } else if (varietal) {
+                    showMobileWinesForVarietal(varietal);
+                } else if (region) {
+                    showMobileWinesForRegion(region, type);
+                } else {
+                    const backBtn = document.getElementById('mobileBackToMapBtn');
+                    const winesContainer = document.getElementById('mobileWinesCardsContainer');
+                    if (backBtn && backBtn.onclick && winesContainer && winesContainer.style.display !== 'none') {
+                        backBtn.onclick();
+                    }
+                }
+                return;
+            }
+            
+            if (type !== currentWineType) {
+                document.querySelectorAll('.wine-card-sidebar').forEach(card => {
+                    card.classList.toggle('active', card.dataset.type === type);
+                });
+                updateMapColors(type);
+                if (type) {
+                    showRegionsPanel(type);
+                }
+            }
+            backToMap();
+            if (region) {
+                selectRegionByName(region);
+            }
+        }
+        
         // waitForWineApp is now a global function (defined above)
         
         function showWinesListForRegion(regionName, wineType) {
@@ -8144,8 +9574,8 @@ function initInteractiveMap() {
             
             console.log('📊 Total wines available:', window.wineApp.wines.length);
             
-            // Filter wines by region, type, and search term
-            const filteredWines = window.wineApp.wines.filter(wine => {
+            // Filter wines by region, type, and search term (in the order chosen with the sort control)
+            const filteredWines = WineSort.sort(window.wineApp.wines).filter(wine => {
                 const normalizedWineRegion = window.wineApp.normalizeRegionName(wine.region);
                 const normalizedFilterRegion = window.wineApp.normalizeRegionName(regionName);
                 const matchesRegion = normalizedWineRegion === normalizedFilterRegion;
@@ -8206,7 +9636,7 @@ function initInteractiveMap() {
                 row.dataset.wineId = wine.wine_number;
                 row.dataset.wineType = wine.wine_type || '';
                 
-                const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                const price = WineCatalog.formatPrice(wine);
                 const denomination = wine.wine_vintage || 'N/A';
                 
                 // Get wine type display name
@@ -8225,7 +9655,7 @@ function initInteractiveMap() {
                     <td class="wine-table-name">${wine.wine_name || 'Unknown Wine'}</td>
                     <td class="wine-table-producer">${wine.wine_producer || 'Unknown Producer'}</td>
                     <td class="wine-table-denomination">${denomination}</td>
-                    <td class="wine-table-price">$${price}</td>
+                    <td class="wine-table-price">${price}</td>
                 `;
                 
                 row.addEventListener('click', function() {
@@ -8450,7 +9880,7 @@ function initInteractiveMap() {
             // If exact match not found, use the provided name
             const producerToMatch = exactProducerName || normalizedProducerName;
             
-            const filteredWines = window.wineApp.wines.filter(wine => {
+            const filteredWines = WineSort.sort(window.wineApp.wines).filter(wine => {
                 // Match producer (case-insensitive, exact match)
                 const wineProducer = wine.wine_producer ? wine.wine_producer.trim() : '';
                 const matchesProducer = wineProducer.toLowerCase() === producerToMatch.toLowerCase();
@@ -8499,7 +9929,7 @@ function initInteractiveMap() {
                 row.dataset.wineId = wine.wine_number;
                 row.dataset.wineType = wine.wine_type || '';
                 
-                const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                const price = WineCatalog.formatPrice(wine);
                 const denomination = wine.wine_vintage || 'N/A';
                 
                 const wineTypeNames = {
@@ -8517,7 +9947,7 @@ function initInteractiveMap() {
                     <td class="wine-table-name">${wine.wine_name || 'Unknown Wine'}</td>
                     <td class="wine-table-producer">${wine.wine_producer || 'Unknown Producer'}</td>
                     <td class="wine-table-denomination">${denomination}</td>
-                    <td class="wine-table-price">$${price}</td>
+                    <td class="wine-table-price">${price}</td>
                 `;
                 
                 row.addEventListener('click', function() {
@@ -8574,6 +10004,7 @@ function initInteractiveMap() {
         window.showWinesListForProducer = showWinesListForProducer;
         
         function backToMap() {
+            WineURLState.update({ region: null, quick: null, varietal: null });
             const mapWrapper = document.getElementById('mapWrapper');
             const winesListContainer = document.getElementById('winesListContainer');
             
@@ -8889,7 +10320,7 @@ function initInteractiveMap() {
                 const wineItem = document.createElement('div');
                 wineItem.className = 'wine-item';
                 
-                const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                const price = WineCatalog.formatPrice(wine);
                 const vintage = wine.wine_vintage ? wine.wine_vintage.match(/\b(19|20)\d{2}\b/)?.[0] || 'N/A' : 'N/A';
                 
                 wineItem.innerHTML = `
@@ -8897,7 +10328,7 @@ function initInteractiveMap() {
                     <div class="wine-item-producer">${wine.wine_producer || 'Unknown Producer'}</div>
                     <div class="wine-item-details">
                         <span class="wine-item-vintage">${vintage}</span>
-                        <span class="wine-item-price">$${price}</span>
+                        <span class="wine-item-price">${price}</span>
                     </div>
                 `;
                 
@@ -9050,20 +10481,62 @@ function initInteractiveMap() {
                 return [];
             }
             
-            const term = searchTerm.toLowerCase().trim();
+            const term = searchTerm.trim();
             if (term.length < 2) {
                 return [];
             }
             
-            return window.wineApp.wines.filter(wine => {
-                const matchesName = wine.wine_name && wine.wine_name.toLowerCase().includes(term);
-                const matchesProducer = wine.wine_producer && wine.wine_producer.toLowerCase().includes(term);
-                const matchesVarietal = wine.varietals && wine.varietals.toLowerCase().includes(term);
-                const matchesRegion = wine.region && wine.region.toLowerCase().includes(term);
-                const matchesDescription = wine.wine_description && wine.wine_description.toLowerCase().includes(term);
-                
-                return matchesName || matchesProducer || matchesVarietal || matchesRegion || matchesDescription;
-            });
+            // Ranked: name matches first, typos and missing accents tolerated (see js/wine-search.js)
+            return WineSearch.search(term, window.wineApp.wines).map(result => result.wine);
+        }
+        
+        // Search syntax: "pr" suggests price: and producer:, "region:pie" suggests region:piemonte
+        function generateQuerySyntaxSuggestions(searchTerm, wines) {
+            const match = searchTerm.match(/(^|\s)(-?)([a-zA-Z]+)(?::(?:"([^"]*)|([^\s"]*)))?$/);
+            if (!match) return [];
+            const before = searchTerm.slice(0, match.index + match[1].length);
+            const negate = match[2];
+            const name = match[3].toLowerCase();
+            const hasColon = match[4] !== undefined || match[5] !== undefined;
+            
+            if (!hasColon) {
+                return Object.keys(WineSearch.QUALIFIERS)
+                    .filter(key => name.length >= 2 && key.startsWith(name))
+                    .map((key, position) => ({
+                        type: 'qualifier',
+                        text: `${before}${negate}${key}:`,
+                        display: `${key}:`,
+                        icon: '⌕',
+                        subtitle: WineSearch.QUALIFIERS[key].label,
+                        // Above every wine suggestion, in this order
+                        score: 1000 - position
+                    }));
+            }
+            
+            const qualifier = WineSearch.getQualifier(name);
+            if (!qualifier) return [];
+            const typed = WineSearch.fold(match[4] !== undefined ? match[4] : match[5]).trim();
+            const values = WineSearch.qualifierValues(qualifier.key, wines);
+            // Nothing to complete once the value is complete
+            if (typed && values.some(entry => WineSearch.fold(entry.value) === typed)) return [];
+            
+            return values
+                .filter(entry => !typed || WineSearch.fold(entry.value).includes(typed))
+                .sort((a, b) => Number(WineSearch.fold(b.value).startsWith(typed)) - Number(WineSearch.fold(a.value).startsWith(typed)))
+                .slice(0, 6)
+                .map((entry, position) => {
+                    const value = entry.value.toLowerCase();
+                    const token = /\s/.test(value) ? `"${value}"` : value;
+                    return {
+                        type: 'qualifier',
+                        text: `${before}${negate}${qualifier.key}:${token} `,
+                        display: `${qualifier.key}:${token}`,
+                        icon: '⌕',
+                        count: entry.count,
+                        subtitle: `${entry.count} wine${entry.count !== 1 ? 's' : ''}`,
+                        score: 1000 - position
+                    };
+                });
         }
         
         // Generate autocomplete suggestions
@@ -9072,88 +10545,176 @@ function initInteractiveMap() {
                 return [];
             }
             
-            const term = searchTerm.toLowerCase().trim();
-            const suggestions = [];
-            const seen = new Set();
+            const wines = window.wineApp.wines;
+            const suggestions = new Map();
+            generateQuerySyntaxSuggestions(searchTerm, wines).forEach(suggestion => {
+                suggestions.set(`qualifier:${suggestion.text}`, suggestion);
+            });
             
-            // Collect unique suggestions
-            window.wineApp.wines.forEach(wine => {
+            // Same index and ranking as performGlobalSearch: a suggestion scores as its best wine
+            WineSearch.search(searchTerm.trim(), wines).forEach(({ wine, score, fields }) => {
                 // Wine names
-                if (wine.wine_name && wine.wine_name.toLowerCase().includes(term)) {
+                if (fields.has('wine_name') && wine.wine_name) {
                     const key = `wine:${wine.wine_name}`;
-                    if (!seen.has(key)) {
-                        seen.add(key);
-                        const matchingWines = window.wineApp.wines.filter(w => w.wine_name === wine.wine_name);
-                        const count = matchingWines.length;
-                        // Get the first wine's ID for direct navigation
-                        const firstWine = matchingWines[0];
-                        const wineNumber = firstWine ? (firstWine.wine_number || firstWine.id || null) : null;
+                    if (!suggestions.has(key)) {
+                        const count = wines.filter(w => w.wine_name === wine.wine_name).length;
+                        // The best ranked wine with this name opens directly
+                        const wineNumber = wine.wine_number || wine.id || null;
                         
                         if (wineNumber) {
-                        suggestions.push({
-                            type: 'wine',
-                            text: wine.wine_name,
-                            icon: '🍷',
-                            count: count,
+                            suggestions.set(key, {
+                                type: 'wine',
+                                text: wine.wine_name,
+                                icon: '🍷',
+                                count: count,
                                 subtitle: wine.wine_producer || '',
                                 wineNumber: wineNumber,
-                                wineId: wineNumber
-                        });
+                                wineId: wineNumber,
+                                score: score
+                            });
                         } else {
-                            console.warn('⚠️ Wine number not found for wine:', wine.wine_name, firstWine);
+                            console.warn('⚠️ Wine number not found for wine:', wine.wine_name, wine);
                         }
                     }
                 }
                 
                 // Producers
-                if (wine.wine_producer && wine.wine_producer.toLowerCase().includes(term)) {
+                if (fields.has('wine_producer') && wine.wine_producer) {
                     const key = `producer:${wine.wine_producer}`;
-                    if (!seen.has(key)) {
-                        seen.add(key);
-                        const matchingWines = window.wineApp.wines.filter(w => 
-                            w.wine_producer && w.wine_producer === wine.wine_producer
-                        );
-                        const count = matchingWines.length;
+                    if (!suggestions.has(key)) {
+                        const count = wines.filter(w => w.wine_producer === wine.wine_producer).length;
                         
-                        suggestions.push({
+                        suggestions.set(key, {
                             type: 'producer',
                             text: wine.wine_producer,
                             icon: '🏭',
                             count: count,
-                            subtitle: `${count} wine${count !== 1 ? 's' : ''}`
+                            subtitle: `${count} wine${count !== 1 ? 's' : ''}`,
+                            score: score
                         });
                     }
                 }
             });
             
-            // Sort by relevance (exact matches first, then by count)
-            return suggestions.sort((a, b) => {
-                const aExact = a.text.toLowerCase().startsWith(term);
-                const bExact = b.text.toLowerCase().startsWith(term);
-                if (aExact && !bExact) return -1;
-                if (!aExact && bExact) return 1;
-                return b.count - a.count;
-            }).slice(0, 8); // Limit to 8 suggestions
+            // Regions, grapes, menu sections and dishes (plain words only, not the search syntax)
+            const parsedQuery = WineSearch.parseQuery(searchTerm);
+            const terms = parsedQuery.terms.length ? [] : WineSearch.tokenize(parsedQuery.text, false);
+            if (terms.length) {
+                generateCategorySuggestions(terms, wines).forEach(suggestion => {
+                    suggestions.set(`${suggestion.type}:${suggestion.text}`, suggestion);
+                });
+            }
+            
+            // Sort by relevance (search score, then by count), at most 4 of a kind
+            const perType = {};
+            return Array.from(suggestions.values())
+                .sort((a, b) => b.score - a.score || (b.count || 0) - (a.count || 0))
+                .filter(suggestion => {
+                    perType[suggestion.type] = (perType[suggestion.type] || 0) + 1;
+                    return perType[suggestion.type] <= 4;
+                })
+                .slice(0, 12); // Limit to 12 suggestions
+        }
+        
+        // Score of a suggestion label against the typed words (same matching as WineSearch), 0 if a word is missing
+        function scoreSuggestionText(text, terms, weight) {
+            const tokens = WineSearch.tokenize(text);
+            let score = 0;
+            for (const term of terms) {
+                const best = Math.max(0, ...tokens.map(token => WineSearch.matchQuality(term, token)));
+                if (!best) return 0;
+                score += best * weight;
+            }
+            return score;
+        }
+        
+        // Region, varietal, subcategory and dish suggestions with their wine counts
+        function generateCategorySuggestions(terms, wines) {
+            const suggestions = [];
+            const plural = count => `${count} wine${count !== 1 ? 's' : ''}`;
+            
+            // Regions (normalized, so "Piedmont" and "PIEMONTE" are one entry)
+            const regions = new Map();
+            wines.forEach(wine => {
+                if (!wine.region) return;
+                const region = window.wineApp.normalizeRegionName(wine.region);
+                regions.set(region, (regions.get(region) || 0) + 1);
+            });
+            regions.forEach((count, region) => {
+                const score = scoreSuggestionText(region, terms, 4.5);
+                if (score) {
+                    suggestions.push({ type: 'region', text: region, icon: '📍', count, subtitle: plural(count), score });
+                }
+            });
+            
+            // Grape varietals ("60% Corvina" and "Corvina 60%" are both Corvina)
+            const varietals = new Map();
+            wines.forEach(wine => {
+                if (!wine.varietals) return;
+                const names = new Set(wine.varietals.split(',')
+                    .map(v => v.trim().replace(/^\d+(?:\.\d+)?%\s*/, ''))
+                    .filter(Boolean)
+                    .map(v => parseVarietal(v).name));
+                names.forEach(name => {
+                    const key = name.toLowerCase();
+                    const entry = varietals.get(key) || { name, count: 0 };
+                    entry.count++;
+                    varietals.set(key, entry);
+                });
+            });
+            varietals.forEach(({ name, count }) => {
+                const score = scoreSuggestionText(name, terms, 4.5);
+                if (score) {
+                    const label = name.toLowerCase().replace(/(^|[^\p{L}])(\p{L})/gu, (match, before, letter) => before + letter.toUpperCase());
+                    suggestions.push({ type: 'varietal', text: label, icon: '🍇', count, subtitle: plural(count), score });
+                }
+            });
+            
+            // Menu sections such as "Metodo Classico"
+            if (typeof VALID_SUBCATEGORIES !== 'undefined') {
+                Object.keys(VALID_SUBCATEGORIES).forEach(subcategory => {
+                    const score = scoreSuggestionText(subcategory, terms, 4);
+                    if (!score) return;
+                    const count = wines.filter(wine => (wine.subcategory || '').toUpperCase() === subcategory).length;
+                    if (count > 0) {
+                        const label = subcategory.toLowerCase().replace(/(^|\s)\S/g, letter => letter.toUpperCase());
+                        suggestions.push({ type: 'subcategory', text: label, icon: '🥂', count, subtitle: plural(count), score });
+                    }
+                });
+            }
+            
+            // Dishes from the Gran Caffè pairings: the count is the recommended wines on the list
+            (WinePairings.dishes || []).forEach(dish => {
+                const score = scoreSuggestionText(dish.dish, terms, 4);
+                if (!score) return;
+                const count = WinePairings.getWinesForDish(dish, wines).length;
+                if (count > 0) {
+                    suggestions.push({ type: 'dish', text: dish.dish, icon: '🍽️', count, subtitle: `Pairs with ${plural(count)}`, score });
+                }
+            });
+            
+            return suggestions;
         }
         
         // Display autocomplete suggestions
-        function showAutocompleteSuggestions(searchTerm, dropdownId, suggestionsId) {
+        // options.suggestions replaces the generated ones; options.history adds the "Clear history" button
+        function showAutocompleteSuggestions(searchTerm, dropdownId, suggestionsId, inputId = null, options = {}) {
             const dropdown = document.getElementById(dropdownId);
             const suggestionsContainer = document.getElementById(suggestionsId);
             
             if (!dropdown || !suggestionsContainer) return;
             
-            if (!searchTerm || searchTerm.length < 2) {
+            if (!options.suggestions && (!searchTerm || searchTerm.length < 2)) {
                 dropdown.style.display = 'none';
                 return;
             }
             
-            const suggestions = generateAutocompleteSuggestions(searchTerm);
+            const suggestions = options.suggestions || generateAutocompleteSuggestions(searchTerm);
             
             if (suggestions.length === 0) {
                 suggestionsContainer.innerHTML = `
                     <div class="autocomplete-suggestions-empty">
-                        No suggestions found for "${searchTerm}"
+                        No suggestions found for "${escapeHTML(searchTerm)}"
                     </div>
                 `;
                 dropdown.style.display = 'block';
@@ -9163,21 +10724,33 @@ function initInteractiveMap() {
             suggestionsContainer.innerHTML = suggestions.map((suggestion, index) => `
                 <div class="autocomplete-suggestion" 
                      data-suggestion-type="${suggestion.type}" 
-                     data-suggestion-text="${suggestion.text}" 
+                     data-suggestion-text="${escapeHTML(suggestion.text)}" 
                      data-index="${index}"
                      ${suggestion.wineNumber ? `data-wine-number="${suggestion.wineNumber}"` : ''}
                      ${suggestion.wineId ? `data-wine-id="${suggestion.wineId}"` : ''}>
                     <div class="autocomplete-suggestion-icon">${suggestion.icon}</div>
                     <div class="autocomplete-suggestion-content">
-                        <div class="autocomplete-suggestion-main">${highlightMatch(suggestion.text, searchTerm)}</div>
-                        <div class="autocomplete-suggestion-sub">${suggestion.subtitle}</div>
+                        <div class="autocomplete-suggestion-main">${suggestion.display ? escapeHTML(suggestion.display) : highlightMatch(suggestion.text, searchTerm)}</div>
+                        <div class="autocomplete-suggestion-sub">${escapeHTML(suggestion.subtitle)}</div>
                     </div>
-                    <div class="autocomplete-suggestion-count">${suggestion.count}</div>
+                    <div class="autocomplete-suggestion-count">${suggestion.count ?? ''}</div>
                 </div>
-            `).join('');
+            `).join('') + (options.history
+                ? '<button type="button" class="autocomplete-history-clear">Clear history</button>'
+                : '');
             
             dropdown.style.display = 'block';
             
+            const clearButton = suggestionsContainer.querySelector('.autocomplete-history-clear');
+            if (clearButton) {
+                clearButton.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    WineHistory.clear();
+                    dropdown.style.display = 'none';
+                });
+            }
+            
             // Add click handlers
             suggestionsContainer.querySelectorAll('.autocomplete-suggestion').forEach(suggestionEl => {
                 // #region agent log
@@ -9207,6 +10780,18 @@ function initInteractiveMap() {
                     
                     console.log('🔍 Suggestion clicked:', { suggestionType, wineNumber, text });
                     
+                    // Search syntax suggestions and recent searches go back in the input and run from there
+                    if (suggestionType === 'qualifier' || suggestionType === 'recent-search') {
+                        const queryInput = (inputId && document.getElementById(inputId)) ||
+                                           document.getElementById('desktopSearchInput');
+                        if (queryInput) {
+                            queryInput.value = text;
+                            queryInput.focus();
+                            queryInput.dispatchEvent(new Event('input'));
+                        }
+                        return;
+                    }
+                    
                     // #region agent log
                     fetch('http://127.0.0.1:7245/ingest/2e3bade2-8aa9-4dc2-aa5c-d3181a4a3b9d',{method:'POST',headers:{'Content-Type':'application/json'},body:JSON.stringify({location:'main.js:8619',message:'Processing suggestion click',data:{suggestionType,wineNumber,text},timestamp:Date.now(),sessionId:'debug-session',runId:'run1',hypothesisId:'B'})}).catch(()=>{});
                     // #endregion
@@ -9240,6 +10825,7 @@ function initInteractiveMap() {
                     if (searchInput) {
                         searchInput.value = text;
                         dropdown.style.display = 'none';
+                        WineHistory.addSearch(text);
                         
                         // If searching from menu popup, close menu and popup
                         if (searchInput.id === 'mobileMenuSearchPopupInput') {
@@ -9335,6 +10921,21 @@ function initInteractiveMap() {
                                         }
                                     });
                                 }
+                            } else if (suggestionType === 'subcategory' || suggestionType === 'dish') {
+                                // Menu section: every wine in it. Dish: the wines recommended for it, best GCA score first
+                                if (suggestionType === 'dish') {
+                                    const dish = (WinePairings.dishes || []).find(d => d.dish === text);
+                                    results = WinePairings.getWinesForDish(dish, window.wineApp.wines);
+                                } else {
+                                    results = window.wineApp.wines.filter(w =>
+                                        (w.subcategory || '').toUpperCase() === text.toUpperCase()
+                                    );
+                                }
+                                if (isMobile) {
+                                    displayMobileSearchResults(text, results);
+                                } else {
+                                    displaySearchResults(text, results);
+                                }
                             } else if (suggestionType === 'varietal') {
                                 // For varietal: show search results
                                 results = window.wineApp.wines.filter(w => 
@@ -9362,7 +10963,11 @@ function initInteractiveMap() {
         
         // Highlight matching text in suggestions
         function highlightMatch(text, searchTerm) {
-            const regex = new RegExp(`(${searchTerm})`, 'gi');
+            const words = searchTerm.trim().split(/\s+/)
+                .filter(word => word.length >= 2)
+                .map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+            if (!words.length) return text;
+            const regex = new RegExp(`(${words.join('|')})`, 'gi');
             return text.replace(regex, '<mark style="background: rgba(212, 175, 55, 0.3); color: var(--gold);">$1</mark>');
         }
         
@@ -9464,14 +11069,14 @@ function initInteractiveMap() {
                 row.className = 'wine-table-row';
                 row.dataset.wineId = wine.wine_number;
                 
-                const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                const price = WineCatalog.formatPrice(wine);
                 
                 row.innerHTML = `
                     <td class="wine-table-name">${wine.wine_name || 'Unknown Wine'}</td>
                     <td class="wine-table-producer">${wine.wine_producer || 'Unknown Producer'}</td>
                     <td class="wine-table-region">${wine.region || 'N/A'}</td>
                     <td class="wine-table-varietal">${wine.varietals || 'N/A'}</td>
-                    <td class="wine-table-price">$${price}</td>
+                    <td class="wine-table-price">${price}</td>
                 `;
                 
                 row.addEventListener('click', function() {
@@ -9489,6 +11094,36 @@ function initInteractiveMap() {
             winesGridContainer.appendChild(table);
         }
         
+        // Recent searches and recently viewed wines, shown while the search box is empty
+        function showSearchHistory(dropdownId, suggestionsId, inputId) {
+            const searches = WineHistory.getSearches().slice(0, 4).map(term => ({
+                type: 'recent-search',
+                text: term,
+                display: term,
+                icon: '🕘',
+                subtitle: 'Recent search'
+            }));
+            const wines = WineHistory.getWines(window.wineApp ? window.wineApp.wines : null).slice(0, 4).map(item => ({
+                type: 'wine',
+                text: item.name,
+                display: item.name,
+                icon: '🍷',
+                subtitle: item.producer ? `Recently viewed · ${item.producer}` : 'Recently viewed',
+                wineNumber: item.id,
+                wineId: item.id
+            }));
+            
+            if (!searches.length && !wines.length) {
+                const dropdown = document.getElementById(dropdownId);
+                if (dropdown) dropdown.style.display = 'none';
+                return;
+            }
+            showAutocompleteSuggestions('', dropdownId, suggestionsId, inputId, {
+                suggestions: [...searches, ...wines],
+                history: true
+            });
+        }
+        
         // Helper function to setup search input with autocomplete
         function setupSearchInput(inputId, dropdownId, suggestionsId, isMobile = false) {
             const searchInput = document.getElementById(inputId);
@@ -9510,8 +11145,7 @@ function initInteractiveMap() {
                     this.classList.add('search-active');
                 } else {
                     this.classList.remove('search-active');
-                    const dropdown = document.getElementById(dropdownId);
-                    if (dropdown) dropdown.style.display = 'none';
+                    showSearchHistory(dropdownId, suggestionsId, inputId);
                     
                     // Show map again if search is cleared (desktop only)
                     if (!isMobile) {
@@ -9532,9 +11166,9 @@ function initInteractiveMap() {
                 // Show autocomplete suggestions
                 if (searchTerm.length >= 2) {
                     waitForWineApp(() => {
-                        showAutocompleteSuggestions(searchTerm, dropdownId, suggestionsId);
+                        showAutocompleteSuggestions(searchTerm, dropdownId, suggestionsId, inputId);
                     });
-                } else {
+                } else if (searchTerm) {
                     const dropdown = document.getElementById(dropdownId);
                     if (dropdown) dropdown.style.display = 'none';
                 }
@@ -9564,6 +11198,9 @@ function initInteractiveMap() {
                             }
                             
                             const results = performGlobalSearch(searchTerm);
+                            if (results.length > 0) {
+                                WineHistory.addSearch(searchTerm);
+                            }
                             if (isMobile) {
                                 displayMobileSearchResults(searchTerm, results);
                             } else {
@@ -9574,6 +11211,13 @@ function initInteractiveMap() {
                 }, 300);
             });
             
+            // Empty search: recent searches and recently viewed wines
+            searchInput.addEventListener('focus', function() {
+                if (!this.value.trim()) {
+                    waitForWineApp(() => showSearchHistory(dropdownId, suggestionsId, inputId));
+                }
+            });
+            
             // Keyboard navigation for autocomplete
             searchInput.addEventListener('keydown', function(e) {
                 const dropdown = document.getElementById(dropdownId);
@@ -9930,7 +11574,7 @@ function initInteractiveMap() {
             
             // Display results as cards
             mobileWinesCards.innerHTML = results.map(wine => {
-                const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass || 'N/A';
+                const price = WineCatalog.formatPrice(wine);
                 const producer = wine.wine_producer || 'Unknown';
                 const subcategory = wine.subcategory || '';
                 const subcategoryInfo = formatSubcategoryForDisplay(subcategory, wine);
@@ -9938,7 +11582,7 @@ function initInteractiveMap() {
                     <div class="mobile-wine-card" data-wine-id="${wine.wine_number}" onclick="window.location.href='wine-details.html?id=${wine.wine_number}&from=search'">
                         <div class="mobile-wine-card-header">
                             <h3 class="mobile-wine-card-name">${wine.wine_name || 'Unknown Wine'} <span class="mobile-wine-card-producer-inline">- ${producer}</span></h3>
-                            <span class="mobile-wine-card-price">$${price}</span>
+                            <span class="mobile-wine-card-price">${price}</span>
                         </div>
                         <div class="mobile-wine-card-info">
                             ${subcategoryInfo ? `
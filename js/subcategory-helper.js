@@ -108,22 +108,20 @@ function formatSubcategoryForDisplay(subcategory, wine) {
  * Estrae il prezzo numerico da un vino
  */
 function getWinePriceNumber(wine) {
-    const price = wine.wine_price || wine.wine_price_bottle || wine.wine_price_glass;
-    if (!price || price === 'N/A') return Infinity; // Vini senza prezzo vanno alla fine
+    // Prezzi normalizzati da WineCatalog (bottiglia, poi calice)
+    const prices = wine.prices || WineCatalog.parsePrices(wine);
+    const price = prices.bottle ?? prices.glass;
     
-    // Rimuove il simbolo $ e altri caratteri non numerici, mantiene solo numeri e punto
-    const priceStr = String(price).replace(/[^0-9.]/g, '');
-    const priceNum = parseFloat(priceStr);
-    
-    return isNaN(priceNum) ? Infinity : priceNum;
+    return price === null ? Infinity : price; // Vini senza prezzo vanno alla fine
 }
 
 /**
  * Raggruppa i vini per sub-categoria
  * Restituisce un array di oggetti con { subcategoryInfo, wines }
- * I vini all'interno di ogni gruppo sono ordinati per prezzo crescente
+ * I vini all'interno di ogni gruppo sono ordinati per prezzo crescente, oppure con sortKey
+ * (una chiave di WineSort); senza sortKey vale l'ordinamento salvato dall'utente
  */
-function groupWinesBySubcategory(wines) {
+function groupWinesBySubcategory(wines, sortKey = typeof WineSort !== 'undefined' ? WineSort.getSaved() : 'default') {
     const groups = new Map();
     const winesWithoutSubcategory = [];
     
@@ -145,23 +143,25 @@ function groupWinesBySubcategory(wines) {
         }
     });
     
-    // Ordina i vini per prezzo crescente all'interno di ogni gruppo
-    groups.forEach(group => {
-        group.wines.sort((a, b) => {
+    // Ordina i vini all'interno di ogni gruppo: ordinamento richiesto (WineSort),
+    // altrimenti per prezzo crescente
+    const sortGroup = groupWines => {
+        if (sortKey !== 'default') {
+            return WineSort.sort(groupWines, sortKey);
+        }
+        return groupWines.sort((a, b) => {
             const priceA = getWinePriceNumber(a);
             const priceB = getWinePriceNumber(b);
             return priceA - priceB;
         });
+    };
+    
+    groups.forEach(group => {
+        group.wines = sortGroup(group.wines);
     });
     
-    // Ordina anche i vini senza sub-categoria per prezzo
-    if (winesWithoutSubcategory.length > 0) {
-        winesWithoutSubcategory.sort((a, b) => {
-            const priceA = getWinePriceNumber(a);
-            const priceB = getWinePriceNumber(b);
-            return priceA - priceB;
-        });
-    }
+    // Ordina anche i vini senza sub-categoria
+    const sortedWithoutSubcategory = sortGroup(winesWithoutSubcategory);
     
     // Converti la Map in array e ordina per nome sub-categoria
     const groupedArray = Array.from(groups.values()).sort((a, b) => 
@@ -169,10 +169,10 @@ function groupWinesBySubcategory(wines) {
     );
     
     // Aggiungi i vini senza sub-categoria alla fine
-    if (winesWithoutSubcategory.length > 0) {
+    if (sortedWithoutSubcategory.length > 0) {
         groupedArray.push({
             subcategoryInfo: null,
-            wines: winesWithoutSubcategory
+            wines: sortedWithoutSubcategory
         });
     }
     
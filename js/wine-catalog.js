@@ -0,0 +1,288 @@
+/**
+ * Wine Catalog
+ * Loads data/wines.json once, validates it with WineSchema and exposes normalized wines,
+ * so every page classifies and prices a wine the same way.
+ *
+ * A normalized wine keeps all the raw fields (wine_name, wine_type, ...) and adds:
+ *   family        'ROSSO' | 'BIANCO' | 'ROSATO' | 'ARANCIONE' | 'BOLLICINE' | 'NON ALCOLICO'
+ *   prices        { bottle, glass, split: { glass, bottle } | null, soldOut }  (numbers or null)
+ *   vintageYear   number | null
+ *   isNV          true when wine_vintage states no year (non-vintage)
+ *   appellation   { name, tier, zone } parsed from wine_vintage ("FRANCIACORTA", "DOCG", null)
+ *   varietalList  [{ name, percentage }]  (percentage is null when not stated)
+ *   isOrganic     boolean
+ */
+
+const WineCatalog = {
+    DATA_PATH: './data/wines.json',
+    FAMILIES: ['ROSSO', 'BIANCO', 'ROSATO', 'ARANCIONE', 'BOLLICINE', 'NON ALCOLICO'],
+
+    // Classification tiers, highest first. DOP/IGP are the EU labels for DOC(G)/IGT
+    TIERS: ['DOCG', 'DOC', 'IGT', 'VdT'],
+    TIER_ALIASES: {
+        'DOCG': 'DOCG',
+        'DOC': 'DOC',
+        'DOP': 'DOC',
+        'IGT': 'IGT',
+        'IGP': 'IGT',
+        'VDT': 'VdT',
+        'VINO DA TAVOLA': 'VdT'
+    },
+
+    wines: [],
+    report: null,
+    loadingPromise: null,
+
+    /**
+     * Loads and normalizes the catalog. Repeated calls share the same request.
+     * Resolves with the array of normalized wines.
+     */
+    load() {
+        if (!this.loadingPromise) {
+            this.loadingPromise = this.fetchCatalog().catch(error => {
+                // Allow a retry on the next call
+                this.loadingPromise = null;
+                throw error;
+            });
+        }
+        return this.loadingPromise;
+    },
+
+    async fetchCatalog() {
+        // getPath (GitHub Pages base path) is defined by main.js or by the page itself
+        const winesPath = typeof getPath === 'function' ? getPath(this.DATA_PATH) : this.DATA_PATH;
+
+        // Add cache busting to avoid stale data
+        const response = await fetch(winesPath + '?v=' + Date.now());
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        const data = await response.json();
+
+        const { wines, report } = WineSchema.validateCatalog(data);
+        this.wines = wines.map(wine => this.normalize(wine));
+        this.report = report;
+        return this.wines;
+    },
+
+    getById(wineNumber) {
+        return this.wines.find(wine => wine.wine_number === String(wineNumber)) || null;
+    },
+
+    normalize(raw) {
+        const vintage = this.parseVintageLabel(raw.wine_vintage);
+        // Some rows only state the tier in the menu section ("BARBARESCO DOCG", "BAROLO DOCG")
+        if (!vintage.tier) {
+            const fallback = this.parseVintageLabel(`${raw.category || ''} ${raw.wine_type || ''}`);
+            vintage.tier = fallback.tier;
+        }
+
+        return Object.assign({}, raw, {
+            family: this.getFamily(raw),
+            prices: this.parsePrices(raw),
+            vintageYear: vintage.vintage,
+            isNV: vintage.isNV,
+            appellation: { name: vintage.name, tier: vintage.tier, zone: vintage.zone },
+            varietalList: this.parseVarietals(raw.varietals),
+            isOrganic: raw.organic === true
+        });
+    },
+
+    /**
+     * Wine family from a row (wine_type, subcategory and alcohol)
+     */
+    getFamily(wine) {
+        if (!wine) return 'ROSSO';
+        const alcohol = String(wine.alcohol || '').replace('%', '').trim();
+        if (alcohol === '0' || alcohol === '0.0') {
+            return 'NON ALCOLICO';
+        }
+        return this.classifyFamily(wine.wine_type, wine.subcategory || wine.wine_subcategory);
+    },
+
+    classifyFamily(wineType, subcategory = null) {
+        // First check subcategory if wine_type is not clear
+        if (subcategory) {
+            const subcat = subcategory.toUpperCase();
+            // Check for non-alcoholic first (priority) - handle both singular and plural
+            if (subcat.includes('NON ALCOLICO') || subcat.includes('NON ALCOLICI') ||
+                subcat.includes('NON-ALCOHOLIC') || subcat.includes('0.0')) {
+                return 'NON ALCOLICO';
+            }
+            if (subcat.includes('BIANCO') || subcat === 'WHITE') {
+                return 'BIANCO';
+            }
+            if (subcat.includes('ROSSO') || subcat === 'RED') {
+                return 'ROSSO';
+            }
+            if (subcat.includes('ROSATO') || subcat === 'ROSE' || subcat === 'ROSY') {
+                return 'ROSATO';
+            }
+            if (subcat.includes('ARANCIONE') || subcat === 'ORANGE') {
+                return 'ARANCIONE';
+            }
+            if (subcat.includes('BOLLICINE') || subcat.includes('SPARKLING') ||
+                subcat.includes('METODO CLASSICO') || subcat.includes('CHARMAT') ||
+                subcat.includes('ANCESTRAL') || subcat.includes('MARTINOTTI')) {
+                return 'BOLLICINE';
+            }
+        }
+
+        if (!wineType) return 'ROSSO'; // Default fallback
+
+        const type = wineType.toUpperCase();
+
+        // Non-alcoholic wines (check first to avoid conflicts)
+        if (type.includes('NON ALCOLICO') || type.includes('NON ALCOLICI') ||
+            type.includes('NON-ALCOHOLIC') || type.includes('0.0')) {
+            return 'NON ALCOLICO';
+        }
+        // Sparkling wine variations
+        if (type.includes('BOLLICINE') || type.includes('SPARKLING')) {
+            return 'BOLLICINE';
+        }
+        // Rosé wine variations
+        if (type.includes('ROSATO') || type.includes('ROSATI') || type.includes('ROSE') || type.includes('ROSY')) {
+            return 'ROSATO';
+        }
+        // Orange wine variations
+        if (type.includes('ARANCIONE') || type.includes('ARANCIONI') || type.includes('ORANGE')) {
+            return 'ARANCIONE';
+        }
+        // White wine variations
+        if (type.includes('BIANCO') || type.includes('BIANCHI') || type.includes('WHITE')) {
+            return 'BIANCO';
+        }
+        // Red wine variations ("VINI ROSSI", "ROSSO (AMARONE)", "BAROLO DOCG", ...) and default
+        return 'ROSSO';
+    },
+
+    matchesFamily(wine, family) {
+        return (wine.family || this.getFamily(wine)) === family;
+    },
+
+    /**
+     * Price cell to number. "SOLD OUT", empty and zero values give null
+     */
+    parsePrice(value) {
+        if (value === null || value === undefined || value === true) return null;
+        const number = parseFloat(String(value).replace(/[^0-9.]/g, ''));
+        return isNaN(number) || number <= 0 ? null : number;
+    },
+
+    parsePrices(wine) {
+        let split = null;
+        if (typeof wine.wine_price_split === 'string' && wine.wine_price_split.includes('/')) {
+            const [glass, bottle] = wine.wine_price_split.split('/').map(part => this.parsePrice(part));
+            split = { glass, bottle };
+        }
+
+        const bottle = this.parsePrice(wine.wine_price_bottle) ?? this.parsePrice(wine.wine_price) ?? (split ? split.bottle : null);
+        const glass = this.parsePrice(wine.wine_price_glass) ?? (split ? split.glass : null);
+        const soldOut = [wine.wine_price, wine.wine_price_bottle]
+            .some(value => typeof value === 'string' && value.trim().toUpperCase() === 'SOLD OUT');
+
+        return { bottle, glass, split, soldOut };
+    },
+
+    /**
+     * Price for display: "$85" (bottle, else glass), "Sold out", or "N/A" when none is known
+     */
+    formatPrice(wine) {
+        const prices = wine.prices || this.parsePrices(wine);
+        if (prices.soldOut) return 'Sold out';
+        const value = prices.bottle ?? prices.glass;
+        if (typeof value !== 'number') return 'N/A';
+        return `$${Number.isInteger(value) ? value : value.toFixed(2)}`;
+    },
+
+    parseVintageYear(vintage) {
+        if (!vintage) return null;
+        const yearMatch = String(vintage).match(/\b(19|20)\d{2}\b/);
+        return yearMatch ? Number(yearMatch[0]) : null;
+    },
+
+    /**
+     * Splits the label packed into wine_vintage:
+     *   "(FRANCIACORTA DOCG 2018)"    -> { name: 'FRANCIACORTA', tier: 'DOCG', vintage: 2018, isNV: false, zone: null }
+     *   "(ABRUZZO DOC 2022/OFENA)"    -> { name: 'ABRUZZO', tier: 'DOC', vintage: 2022, isNV: false, zone: 'OFENA' }
+     *   "(COMUNE: BAROLO, 2018)"      -> { name: null, tier: null, vintage: 2018, isNV: false, zone: 'BAROLO' }
+     *   "(ASTI DOCG NV)"              -> { name: 'ASTI', tier: 'DOCG', vintage: null, isNV: true, zone: null }
+     */
+    parseVintageLabel(value) {
+        const result = { name: null, tier: null, vintage: null, isNV: false, zone: null };
+        if (!value || typeof value !== 'string') return result;
+
+        const clean = part => part
+            .replace(/\b(19|20)\d{2}\b/g, '')
+            .replace(/\bNV\b/g, '')
+            .replace(/\b0\.0 ALCOHOL\b/g, '')
+            .replace(/\s+/g, ' ')
+            .replace(/^[\s,\-]+|[\s,\-]+$/g, '')
+            .trim();
+
+        let label = value.replace(/[()]/g, '').trim().toUpperCase();
+
+        result.vintage = this.parseVintageYear(label);
+        result.isNV = result.vintage === null;
+
+        // "COMUNE: BAROLO" names the village, not the denomination
+        const commune = label.match(/\bCOMM?UNE:\s*(.+)$/);
+        if (commune) {
+            result.zone = clean(commune[1]) || null;
+            return result;
+        }
+
+        const [main, ...zoneParts] = label.split('/');
+        label = main;
+
+        const tierMatch = label.match(/\b(DOCG|DOC|DOP|IGT|IGP|VDT|VINO DA TAVOLA)\b/);
+        if (tierMatch) {
+            result.tier = this.TIER_ALIASES[tierMatch[1]];
+            label = label.replace(tierMatch[0], ' ');
+        }
+
+        // "DOC SICILIA, TRAPANI": what follows the comma is the zone
+        const [name, ...commaParts] = clean(label).split(',');
+        result.name = clean(name) || null;
+        result.zone = clean([...commaParts, ...zoneParts].join(' ')) || null;
+
+        return result;
+    },
+
+    /**
+     * Appellation for display: "FRANCIACORTA DOCG", or null when nothing is known
+     */
+    formatAppellation(appellation) {
+        if (!appellation) return null;
+        return [appellation.name, appellation.tier].filter(Boolean).join(' ') || null;
+    },
+
+    /**
+     * "60% Corvina, 30% Rondinella, 10% Molinara" -> [{ name: 'Corvina', percentage: 60 }, ...]
+     * Also handles "SANGIOVESE/SYRAH/CAB FRANC" and lists without percentages
+     */
+    parseVarietals(varietals) {
+        if (!varietals || typeof varietals !== 'string') return [];
+        return varietals
+            .split(/[,/]|\band\b/i)
+            .map(part => part.trim())
+            .filter(Boolean)
+            .map(part => {
+                const match = part.match(/^(\d+(?:\.\d+)?)\s*%\s*(.+)$/);
+                return match
+                    ? { name: match[2].trim(), percentage: Number(match[1]) }
+                    : { name: part, percentage: null };
+            });
+    }
+};
+
+// Make WineCatalog available globally
+if (typeof window !== 'undefined') {
+    window.WineCatalog = WineCatalog;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineCatalog;
+}
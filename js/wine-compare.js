@@ -0,0 +1,77 @@
+/**
+ * Wine Compare
+ * The wines picked for wine-comparison.html (2 to 4), kept in localStorage so they can be
+ * collected from the cards' context menu while browsing. The page link carries them as
+ * wine-comparison.html?wines=12,48,103.
+ */
+
+const WineCompare = {
+    KEY: 'wineComparison',
+    MIN_WINES: 2,
+    MAX_WINES: 4,
+
+    getIds() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.KEY));
+            return Array.isArray(ids) ? ids.map(String).slice(0, this.MAX_WINES) : [];
+        } catch (_) {
+            return [];
+        }
+    },
+
+    setIds(ids) {
+        const unique = [...new Set(ids.map(String).filter(Boolean))].slice(0, this.MAX_WINES);
+        try { localStorage.setItem(this.KEY, JSON.stringify(unique)); } catch (_) {}
+        return unique;
+    },
+
+    has(id) {
+        return this.getIds().includes(String(id));
+    },
+
+    /**
+     * Adds a wine; returns false when the comparison is already full
+     */
+    add(id) {
+        const ids = this.getIds();
+        if (ids.includes(String(id))) return true;
+        if (ids.length >= this.MAX_WINES) return false;
+        this.setIds([...ids, String(id)]);
+        return true;
+    },
+
+    remove(id) {
+        this.setIds(this.getIds().filter(item => item !== String(id)));
+    },
+
+    clear() {
+        this.setIds([]);
+    },
+
+    /**
+     * Ids from the page link: ?wines=12,48 (older links use ?wine1=12&wine2=48).
+     * Null when the link has none.
+     */
+    idsFromParams(params) {
+        const list = params.get('wines');
+        if (list) {
+            return list.split(',').map(id => id.trim()).filter(Boolean).slice(0, this.MAX_WINES);
+        }
+        const legacy = ['wine1', 'wine2'].map(key => params.get(key)).filter(Boolean);
+        return legacy.length ? legacy : null;
+    },
+
+    url(ids = this.getIds()) {
+        return ids.length ? `wine-comparison.html?wines=${ids.map(encodeURIComponent).join(',')}` : 'wine-comparison.html';
+    }
+};
+
+// Make WineCompare available globally
+if (typeof window !== 'undefined') {
+    window.WineCompare = WineCompare;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineCompare;
+}
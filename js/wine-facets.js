@@ -0,0 +1,180 @@
+/**
+ * Wine Facets
+ * Composable facet engine for the wines page. Works on normalized wines from WineCatalog.
+ *
+ * Facet state:
+ *   {
+ *     regions: [], varietals: [], tiers: [], methods: [],   // multi-select (OR inside a facet)
+ *     organic: false, byTheGlass: false,                    // toggles
+ *     priceBasis: 'bottle' | 'glass', priceMin, priceMax,   // ranges (null = open)
+ *     vintageMin, vintageMax
+ *   }
+ * Facets are combined with AND. Counts for a facet are computed with every other facet applied,
+ * so they always tell how many wines a click would show.
+ */
+
+const WineFacets = {
+    // Region names are normalized by the caller (WineListApp.normalizeRegionName)
+    normalizeRegion: region => (region || '').toUpperCase(),
+
+    definitions: {
+        regions: {
+            type: 'multi',
+            label: 'Region',
+            values: wine => [WineFacets.normalizeRegion(wine.region)].filter(Boolean)
+        },
+        varietals: {
+            type: 'multi',
+            label: 'Grapes',
+            values: wine => (wine.varietalList || []).map(varietal => WineFacets.formatVarietal(varietal.name))
+        },
+        tiers: {
+            type: 'multi',
+            label: 'Classification',
+            values: wine => (wine.appellation && wine.appellation.tier ? [wine.appellation.tier] : []),
+            order: () => WineCatalog.TIERS
+        },
+        methods: {
+            type: 'multi',
+            label: 'Sparkling Method',
+            // Sparkling methods are the METODO subcategories in VALID_SUBCATEGORIES
+            values: wine => {
+                const subcategory = (wine.subcategory || '').toUpperCase();
+                return VALID_SUBCATEGORIES[subcategory] && subcategory.startsWith('METODO') ? [subcategory] : [];
+            }
+        },
+        organic: {
+            type: 'toggle',
+            label: 'Organic',
+            test: wine => wine.isOrganic
+        },
+        byTheGlass: {
+            type: 'toggle',
+            label: 'Available by the glass',
+            test: wine => wine.prices && wine.prices.glass !== null
+        },
+        price: {
+            type: 'range',
+            label: 'Price',
+            value: (wine, state) => (wine.prices ? wine.prices[state.priceBasis === 'glass' ? 'glass' : 'bottle'] : null),
+            minKey: 'priceMin',
+            maxKey: 'priceMax'
+        },
+        vintage: {
+            type: 'range',
+            label: 'Vintage',
+            value: wine => wine.vintageYear,
+            minKey: 'vintageMin',
+            maxKey: 'vintageMax'
+        }
+    },
+
+    createState() {
+        return {
+            regions: [],
+            varietals: [],
+            tiers: [],
+            methods: [],
+            organic: false,
+            byTheGlass: false,
+            priceBasis: 'bottle',
+            priceMin: null,
+            priceMax: null,
+            vintageMin: null,
+            vintageMax: null
+        };
+    },
+
+    // "SANGIOVESE" and "Sangiovese" are the same grape
+    formatVarietal(name) {
+        return String(name || '')
+            .toLowerCase()
+            .replace(/(^|[\s'-])\S/g, letter => letter.toUpperCase())
+            .trim();
+    },
+
+    isActive(id, state) {
+        const facet = this.definitions[id];
+        if (facet.type === 'multi') return state[id].length > 0;
+        if (facet.type === 'toggle') return state[id] === true;
+        return state[facet.minKey] !== null || state[facet.maxKey] !== null;
+    },
+
+    matches(id, wine, state) {
+        const facet = this.definitions[id];
+        if (!this.isActive(id, state)) return true;
+
+        if (facet.type === 'multi') {
+            const values = facet.values(wine);
+            return state[id].some(selected => values.includes(selected));
+        }
+        if (facet.type === 'toggle') {
+            return facet.test(wine);
+        }
+
+        const value = facet.value(wine, state);
+        if (value === null || value === undefined) return false;
+        const min = state[facet.minKey];
+        const max = state[facet.maxKey];
+        return (min === null || value >= min) && (max === null || value <= max);
+    },
+
+    // Wines matching every active facet, optionally skipping one (used for its counts)
+    apply(wines, state, skipId = null) {
+        const activeIds = Object.keys(this.definitions)
+            .filter(id => id !== skipId && this.isActive(id, state));
+        if (activeIds.length === 0) return wines;
+        return wines.filter(wine => activeIds.every(id => this.matches(id, wine, state)));
+    },
+
+    /**
+     * Live counts for every facet:
+     *   multi  -> [{ value, count, selected }]
+     *   toggle -> { count, selected }
+     *   range  -> { min, max } of the wines left by the other facets
+     */
+    counts(wines, state) {
+        const result = {};
+
+        Object.entries(this.definitions).forEach(([id, facet]) => {
+            const scope = this.apply(wines, state, id);
+
+            if (facet.type === 'multi') {
+                const counts = new Map();
+                scope.forEach(wine => {
+                    new Set(facet.values(wine)).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+                });
+                // Selected values stay visible even when nothing matches them anymore
+                state[id].forEach(value => { if (!counts.has(value)) counts.set(value, 0); });
+
+                const order = facet.order ? facet.order() : null;
+                result[id] = Array.from(counts.entries())
+                    .map(([value, count]) => ({ value, count, selected: state[id].includes(value) }))
+                    .sort((a, b) => order
+                        ? order.indexOf(a.value) - order.indexOf(b.value)
+                        : a.value.localeCompare(b.value));
+            } else if (facet.type === 'toggle') {
+                result[id] = { count: scope.filter(wine => facet.test(wine)).length, selected: state[id] };
+            } else {
+                const values = scope
+                    .map(wine => facet.value(wine, state))
+                    .filter(value => value !== null && value !== undefined);
+                result[id] = values.length
+                    ? { min: Math.min(...values), max: Math.max(...values) }
+                    : { min: null, max: null };
+            }
+        });
+
+        return result;
+    }
+};
+
+// Make WineFacets available globally
+if (typeof window !== 'undefined') {
+    window.WineFacets = WineFacets;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineFacets;
+}
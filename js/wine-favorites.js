@@ -0,0 +1,107 @@
+/**
+ * Wine Favorites
+ * The guest's shortlist: wines starred while browsing, kept in localStorage (no login).
+ * The list travels to a staff device as a link (shortlist.html?ids=12,48,103), shown as a QR code.
+ */
+
+const WineFavorites = {
+    KEY: 'wineShortlist',
+    CHANGE_EVENT: 'wineshortlistchange',
+
+    getIds() {
+        try {
+            const ids = JSON.parse(localStorage.getItem(this.KEY));
+            return Array.isArray(ids) ? ids.map(String) : [];
+        } catch (_) {
+            return [];
+        }
+    },
+
+    setIds(ids) {
+        const unique = [...new Set(ids.map(String).filter(Boolean))];
+        try { localStorage.setItem(this.KEY, JSON.stringify(unique)); } catch (_) {}
+        if (typeof window !== 'undefined') {
+            window.dispatchEvent(new CustomEvent(this.CHANGE_EVENT, { detail: { ids: unique } }));
+        }
+    },
+
+    has(id) {
+        return this.getIds().includes(String(id));
+    },
+
+    /**
+     * Stars or unstars a wine; returns true when the wine is now on the shortlist
+     */
+    toggle(id) {
+        const key = String(id);
+        const ids = this.getIds();
+        const starred = !ids.includes(key);
+        this.setIds(starred ? [...ids, key] : ids.filter(item => item !== key));
+        return starred;
+    },
+
+    clear() {
+        this.setIds([]);
+    },
+
+    /**
+     * Catalog wines for the given ids (the saved shortlist by default), in shortlist order.
+     * Wines no longer on the list are skipped.
+     */
+    getWines(wines, ids = this.getIds()) {
+        const byId = new Map(wines.map(wine => [String(wine.wine_number), wine]));
+        return ids.map(id => byId.get(String(id))).filter(Boolean);
+    },
+
+    /**
+     * Bottle and glass totals; wines without that price are counted in `missing`
+     */
+    totals(wines) {
+        const totals = { bottle: 0, glass: 0, missing: { bottle: 0, glass: 0 } };
+        wines.forEach(wine => {
+            const prices = wine.prices || WineCatalog.parsePrices(wine);
+            ['bottle', 'glass'].forEach(basis => {
+                if (typeof prices[basis] === 'number') {
+                    totals[basis] += prices[basis];
+                } else {
+                    totals.missing[basis]++;
+                }
+            });
+        });
+        return totals;
+    },
+
+    /**
+     * Ids from a shared link ("12,48,103"), or null when the page was opened without one
+     */
+    parseIds(value) {
+        if (value === null || value === undefined) return null;
+        return String(value).split(',').map(id => id.trim()).filter(Boolean);
+    },
+
+    shareURL(ids = this.getIds()) {
+        const base = new URL('shortlist.html', window.location.href);
+        base.search = ids.length ? `ids=${ids.map(encodeURIComponent).join(',')}` : '';
+        return base.toString();
+    },
+
+    /**
+     * Calls callback(ids) when the shortlist changes, in this tab or another one
+     */
+    onChange(callback) {
+        window.addEventListener(this.CHANGE_EVENT, () => callback(this.getIds()));
+        window.addEventListener('storage', event => {
+            if (event.key === this.KEY) callback(this.getIds());
+        });
+    }
+};
+
+// Make WineFavorites available globally
+if (typeof window !== 'undefined') {
+    window.WineFavorites = WineFavorites;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineFavorites;
+}
@@ -0,0 +1,384 @@
+/**
+ * Wine Food Rules
+ * Generic food pairings for any wine, from what the catalog says about it: family, sparkling
+ * method, sweetness, varietals, aging and the structure levels of WineProfile. Rules go from
+ * the most specific to the family defaults; each suggestion carries the reason it was picked.
+ * The details page shows these next to the Gran Caffè dishes (WinePairings).
+ */
+
+const WineFoodRules = {
+    LIMIT: 4,
+
+    /**
+     * Up to `limit` suggestions: [{ name, icon, reason }], most specific first
+     */
+    suggest(wine, limit = this.LIMIT) {
+        if (!wine) return [];
+        const facts = this.getFacts(wine);
+        const suggestions = [];
+        const names = new Set();
+
+        for (const rule of this.RULES) {
+            if (!rule.when(facts)) continue;
+            this.foodsOf(rule, facts).forEach(food => {
+                if (names.has(food.name)) return;
+                names.add(food.name);
+                suggestions.push(food);
+            });
+            if (rule.final || suggestions.length >= limit) break;
+        }
+
+        return suggestions.slice(0, limit);
+    },
+
+    foodsOf(rule, facts) {
+        return typeof rule.foods === 'function' ? rule.foods(facts) : rule.foods;
+    },
+
+    /**
+     * What the rules look at, read from the catalog row
+     */
+    getFacts(wine) {
+        const family = wine.family || WineCatalog.getFamily(wine);
+        const text = this.fold(`${wine.wine_type || ''} ${wine.subcategory || ''} ${wine.wine_name || ''} ${wine.wine_description || ''}`);
+        const aging = this.fold(wine.aging);
+        const list = wine.varietalList || WineCatalog.parseVarietals(wine.varietals);
+        const profile = typeof WineProfile !== 'undefined' ? WineProfile.resolve(wine) : null;
+        const level = (key, fallback) => (profile ? profile[key].value : fallback);
+        const lees = aging.match(/(\d+)\s*months?\s*on\s*(?:the\s*)?lees|lees\s*(\d+)\s*months?/);
+
+        return {
+            family,
+            text,
+            varietals: list.map(item => ({ key: this.fold(item.name), name: item.name })),
+            method: family === 'BOLLICINE' ? this.getMethod(`${text} ${aging}`, list) : null,
+            sweet: this.isSweet(text, list, profile),
+            drink: /\b(cocktail|sangria|spritz)\b/.test(text),
+            oak: ['oak', 'barrique', 'legno', 'botti', 'tonneau', 'rovere'].some(word => aging.includes(word)),
+            leesMonths: lees ? Number(lees[1] || lees[2]) : null,
+            body: level('body', 3),
+            tannin: level('tannin', family === 'ROSSO' ? 3 : 1),
+            acidity: level('acidity', 3)
+        };
+    },
+
+    /**
+     * A sweetness level stated in tasting_profile wins; otherwise the menu wording ("DOLCE",
+     * "SEMI-SWEET", not next to "DRY") and the grapes that are always sweet on this list
+     */
+    isSweet(text, varietals, profile) {
+        if (profile && !profile.sweetness.inferred) return profile.sweetness.value >= 4;
+        if (varietals.some(item => /^(moscato|brachetto)/.test(this.fold(item.name)))) return true;
+        return /\bdolce\b|\bsweet\b|passito|amabile|demi-sec/.test(text) && !/\b(dry|secco)\b/.test(text);
+    },
+
+    /**
+     * 'classico', 'charmat', 'ancestrale' or null
+     */
+    getMethod(text, varietals) {
+        if (/metodo classico|traditional method|champenoise/.test(text)) return 'classico';
+        if (/ancestrale|ancestral|col fondo/.test(text)) return 'ancestrale';
+        if (/charmat|martinotti|autoclave/.test(text)) return 'charmat';
+        if (varietals.some(item => ['glera', 'prosecco'].includes(this.fold(item.name)))) return 'charmat';
+        return null;
+    },
+
+    /**
+     * Suggestions of the GRAPES entries for the wine's varietals, in blend order
+     */
+    grapeFoods(facts) {
+        const foods = [];
+        facts.varietals.forEach(varietal => {
+            const entry = this.GRAPES.find(item => item.families.includes(facts.family)
+                && item.grapes.some(grape => varietal.key.startsWith(grape)));
+            if (entry && !foods.includes(entry.foods[0])) foods.push(...entry.foods);
+        });
+        return foods;
+    },
+
+    hasGrape(facts, grapes) {
+        return facts.varietals.find(item => grapes.some(grape => item.key.startsWith(grape))) || null;
+    },
+
+    fold(value) {
+        return String(value || '').trim().toLowerCase();
+    },
+
+    // Grapes with a pairing tradition of their own, for the families the reasons are written for
+    GRAPES: [
+        {
+            families: ['ROSSO'],
+            grapes: ['nebbiolo'],
+            foods: [
+                { name: 'Braised Beef', icon: 'fas fa-drumstick-bite', reason: 'Nebbiolo\'s firm tannins and acidity stand up to a long braise' },
+                { name: 'Truffle Risotto', icon: 'fas fa-utensils', reason: 'Nebbiolo\'s rose and earthy notes echo the truffle' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['sangiovese', 'brunello'],
+            foods: [
+                { name: 'Bistecca alla Fiorentina', icon: 'fas fa-drumstick-bite', reason: 'Sangiovese is Tuscany\'s grape for Tuscany\'s steak' },
+                { name: 'Pasta with Red Sauce', icon: 'fas fa-utensils', reason: 'Sangiovese\'s bright acidity matches the tomato' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['montepulciano'],
+            foods: [
+                { name: 'Lamb Skewers', icon: 'fas fa-drumstick-bite', reason: 'Montepulciano\'s dark fruit and soft tannins suit Abruzzo\'s arrosticini' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['aglianico', 'sagrantino'],
+            foods: [
+                { name: 'Grilled Lamb', icon: 'fas fa-drumstick-bite', reason: 'A tannic grape that wants fatty, grilled meat' },
+                { name: 'Aged Pecorino', icon: 'fas fa-cheese', reason: 'Salty, aged cheese softens the grip of the tannins' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['primitivo', 'nero d\'avola', 'negroamaro'],
+            foods: [
+                { name: 'Spicy Sausages', icon: 'fas fa-pepper-hot', reason: 'Ripe southern fruit stands up to spice and smoke' },
+                { name: 'Barbecue', icon: 'fas fa-fire', reason: 'Warm-climate reds match the sweetness of the char' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['pinot nero', 'pinot noir'],
+            foods: [
+                { name: 'Roast Duck', icon: 'fas fa-drumstick-bite', reason: 'Pinot Nero\'s silky tannins and red fruit suit duck' },
+                { name: 'Mushroom Dishes', icon: 'fas fa-seedling', reason: 'Its earthy side echoes mushrooms' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['cabernet', 'merlot', 'petit verdot', 'syrah'],
+            foods: [
+                { name: 'Grilled Steak', icon: 'fas fa-drumstick-bite', reason: 'Bordeaux-style structure for a charred steak' },
+                { name: 'Roast Lamb', icon: 'fas fa-drumstick-bite', reason: 'Dark fruit and herbs go with rosemary lamb' }
+            ]
+        },
+        {
+            families: ['ROSSO'],
+            grapes: ['nerello'],
+            foods: [
+                { name: 'Grilled Tuna', icon: 'fas fa-fish', reason: 'Etna\'s light, mineral red is fine with meaty fish' }
+            ]
+        },
+        {
+            families: ['BIANCO'],
+            grapes: ['vermentino', 'falanghina', 'greco', 'fiano', 'pecorino'],
+            foods: [
+                { name: 'Grilled Fish', icon: 'fas fa-fish', reason: 'Salty, citrus freshness of a coastal white' },
+                { name: 'Seafood Pasta', icon: 'fas fa-utensils', reason: 'Enough body for clams and mussels, not too much for them' }
+            ]
+        },
+        {
+            families: ['BIANCO'],
+            grapes: ['sauvignon'],
+            foods: [
+                { name: 'Goat Cheese', icon: 'fas fa-cheese', reason: 'Sauvignon\'s zip cuts through creamy goat cheese' },
+                { name: 'Asparagus & Greens', icon: 'fas fa-leaf', reason: 'Its green, herbal notes handle hard-to-pair vegetables' }
+            ]
+        },
+        {
+            families: ['BIANCO'],
+            grapes: ['garganega', 'trebbiano'],
+            foods: [
+                { name: 'Vegetable Risotto', icon: 'fas fa-utensils', reason: 'Soft fruit and an almond finish for delicate risotto' }
+            ]
+        },
+        {
+            families: ['BIANCO'],
+            grapes: ['pinot grigio', 'pinot bianco'],
+            foods: [
+                { name: 'Seafood Antipasti', icon: 'fas fa-fish', reason: 'Light and clean, it stays out of the way of raw and cured fish' }
+            ]
+        }
+    ],
+
+    FAMILY_DEFAULTS: {
+        'ROSSO': [
+            { name: 'Roasted Meats', icon: 'fas fa-drumstick-bite', reason: 'Red wine tannins bind with protein and fat' },
+            { name: 'Aged Cheeses', icon: 'fas fa-cheese', reason: 'Savoury cheese rounds out the tannins' },
+            { name: 'Pasta with Red Sauce', icon: 'fas fa-utensils', reason: 'Acidity to match the tomato' },
+            { name: 'Dark Chocolate', icon: 'fas fa-cookie-bite', reason: 'Dark fruit meets bitter cocoa' }
+        ],
+        'BIANCO': [
+            { name: 'Seafood', icon: 'fas fa-fish', reason: 'Fresh acidity lifts delicate fish' },
+            { name: 'Light Pasta', icon: 'fas fa-utensils', reason: 'Light body for olive oil and vegetable sauces' },
+            { name: 'Fresh Salads', icon: 'fas fa-leaf', reason: 'Crisp enough for a vinaigrette' },
+            { name: 'Soft Cheeses', icon: 'fas fa-cheese', reason: 'Acidity cuts through the cream' }
+        ],
+        'ROSATO': [
+            { name: 'Grilled Fish', icon: 'fas fa-fish', reason: 'Red-fruit freshness with a light body' },
+            { name: 'Light Appetizers', icon: 'fas fa-cookie-bite', reason: 'Dry and fruity, easy with small bites' },
+            { name: 'Summer Salads', icon: 'fas fa-leaf', reason: 'Fresh enough for raw vegetables' },
+            { name: 'Fresh Fruits', icon: 'fas fa-apple-alt', reason: 'Echoes the wine\'s berry notes' }
+        ],
+        'ARANCIONE': [
+            { name: 'Aged Cheeses', icon: 'fas fa-cheese', reason: 'Skin contact gives the grip for savoury cheese' },
+            { name: 'Spiced Dishes', icon: 'fas fa-pepper-hot', reason: 'Texture and tannin that spice does not flatten' },
+            { name: 'Roasted Vegetables', icon: 'fas fa-carrot', reason: 'Dried-fruit and herbal notes meet caramelised vegetables' },
+            { name: 'Cured Meats', icon: 'fas fa-bacon', reason: 'Enough structure for salty, fatty cuts' }
+        ],
+        'BOLLICINE': [
+            { name: 'Appetizers', icon: 'fas fa-cookie-bite', reason: 'Bubbles wake up the palate before the meal' },
+            { name: 'Fried Foods', icon: 'fas fa-utensils', reason: 'Bubbles and acidity cut through the fry' },
+            { name: 'Fresh Oysters', icon: 'fas fa-fish', reason: 'Crisp and mineral with briny shellfish' },
+            { name: 'Celebration Foods', icon: 'fas fa-birthday-cake', reason: 'A glass for the occasion' }
+        ],
+        'NON ALCOLICO': [
+            { name: 'Fruit Platters', icon: 'fas fa-apple-alt', reason: 'Fruity and light, like the platter' },
+            { name: 'Light Appetizers', icon: 'fas fa-cookie-bite', reason: 'Fresh without weighing down the palate' },
+            { name: 'Salads', icon: 'fas fa-leaf', reason: 'Bright acidity for greens' },
+            { name: 'Desserts', icon: 'fas fa-ice-cream', reason: 'A softer sweetness to finish the meal' }
+        ]
+    }
+};
+
+/**
+ * Rules in priority order. `final` stops the search: the rule's foods are the whole answer.
+ */
+WineFoodRules.RULES = [
+    {
+        // Spritz and sangria are served from the wine list too
+        when: facts => facts.drink,
+        final: true,
+        foods: [
+            { name: 'Olives & Chips', icon: 'fas fa-cookie-bite', reason: 'Salty aperitivo bites keep a bittersweet drink lively' },
+            { name: 'Bruschetta', icon: 'fas fa-bread-slice', reason: 'Tomato and olive oil suit a fruity, low-alcohol drink' },
+            { name: 'Cured Meats', icon: 'fas fa-bacon', reason: 'The classic aperitivo board' },
+            { name: 'Fried Snacks', icon: 'fas fa-utensils', reason: 'Bubbles and ice refresh after each bite' }
+        ]
+    },
+    {
+        when: facts => facts.sweet && facts.family === 'BOLLICINE',
+        final: true,
+        foods: [
+            { name: 'Fruit Tarts', icon: 'fas fa-birthday-cake', reason: 'As sweet as the dessert, with bubbles to keep it fresh' },
+            { name: 'Fresh Berries', icon: 'fas fa-apple-alt', reason: 'Grapey, low-alcohol fizz echoes ripe fruit' },
+            { name: 'Panettone', icon: 'fas fa-bread-slice', reason: 'Sweet bubbles for a buttery, candied bread' },
+            { name: 'Light Desserts', icon: 'fas fa-ice-cream', reason: 'Light enough not to overwhelm a mousse or sorbet' }
+        ]
+    },
+    {
+        when: facts => facts.sweet,
+        final: true,
+        foods: [
+            { name: 'Blue Cheeses', icon: 'fas fa-cheese', reason: 'Sweetness against salty, pungent cheese' },
+            { name: 'Almond Biscotti', icon: 'fas fa-cookie-bite', reason: 'The Italian way to finish with a sweet wine' },
+            { name: 'Fruit Tarts', icon: 'fas fa-birthday-cake', reason: 'A wine at least as sweet as the dessert' },
+            { name: 'Pâté', icon: 'fas fa-utensils', reason: 'Sweetness and acidity cut through rich liver' }
+        ]
+    },
+    {
+        // Lambrusco (filed under reds and rosés too) and other red bubbles
+        when: facts => (facts.family === 'BOLLICINE' && /\brosso\b/.test(facts.text))
+            || (WineFoodRules.hasGrape(facts, ['lambrusco']) && !/bianc/.test(facts.text)),
+        foods: [
+            { name: 'Mortadella & Salumi', icon: 'fas fa-bacon', reason: 'Red bubbles and acidity scrub fatty salumi' },
+            { name: 'Tortellini & Ragù', icon: 'fas fa-utensils', reason: 'Emilia\'s sparkling red for Emilia\'s pasta' },
+            { name: 'Pizza', icon: 'fas fa-pizza-slice', reason: 'Fruity fizz for tomato and cheese' }
+        ]
+    },
+    {
+        when: facts => facts.method === 'classico',
+        foods: facts => {
+            const foods = [];
+            if (/brut nature|pas dos|dosaggio zero|dosage zero/.test(facts.text)) {
+                foods.push({ name: 'Crudo & Sushi', icon: 'fas fa-fish', reason: 'Zero dosage, bone dry: at its best with raw fish' });
+            }
+            if (facts.leesMonths >= 30) {
+                foods.push({ name: 'Parmigiano Reggiano', icon: 'fas fa-cheese', reason: `${facts.leesMonths} months on the lees give bready, nutty notes for aged cheese` });
+            }
+            foods.push(
+                { name: 'Fried Appetizers', icon: 'fas fa-utensils', reason: 'Fine bubbles and acidity cut through the fry' },
+                { name: 'Oysters & Shellfish', icon: 'fas fa-fish', reason: 'Metodo classico\'s crisp, mineral bubbles for briny shellfish' }
+            );
+            return foods;
+        }
+    },
+    {
+        when: facts => facts.method === 'charmat',
+        foods: [
+            { name: 'Antipasti', icon: 'fas fa-cookie-bite', reason: 'Fruity, easy bubbles made for the aperitivo' },
+            { name: 'Light Fried Snacks', icon: 'fas fa-utensils', reason: 'Frothy acidity refreshes after each bite' },
+            { name: 'Seafood Salad', icon: 'fas fa-fish', reason: 'Green apple and pear notes suit light seafood' }
+        ]
+    },
+    {
+        when: facts => facts.method === 'ancestrale',
+        foods: [
+            { name: 'Pizza', icon: 'fas fa-pizza-slice', reason: 'Rustic, dry bubbles for rustic food' },
+            { name: 'Salumi', icon: 'fas fa-bacon', reason: 'Bottle-fermented fizz and lees cut through cured fat' }
+        ]
+    },
+    {
+        // Dried-grape reds from Valpolicella
+        when: facts => /amarone|ripasso|recioto/.test(facts.text),
+        foods: [
+            { name: 'Aged Cheeses', icon: 'fas fa-cheese', reason: 'Dried-grape richness for Parmigiano and Monte Veronese' },
+            { name: 'Game & Braises', icon: 'fas fa-drumstick-bite', reason: 'Raisined fruit and warmth for slow-cooked game' }
+        ]
+    },
+    {
+        when: facts => facts.varietals.length > 0,
+        foods: facts => WineFoodRules.grapeFoods(facts)
+    },
+    {
+        when: facts => facts.family === 'ROSSO' && (facts.tannin >= 4 || facts.body >= 5),
+        foods: [
+            { name: 'Grilled Red Meat', icon: 'fas fa-drumstick-bite', reason: 'Firm tannins and full body bind with protein and fat' }
+        ]
+    },
+    {
+        when: facts => facts.family === 'ROSSO' && (facts.tannin <= 2 || facts.body <= 2),
+        foods: [
+            { name: 'Grilled Salmon', icon: 'fas fa-fish', reason: 'Soft tannins won\'t turn metallic with oily fish' },
+            { name: 'Charcuterie', icon: 'fas fa-bacon', reason: 'A light red to drink with salumi' }
+        ]
+    },
+    {
+        when: facts => facts.oak && facts.family === 'ROSSO',
+        foods: [
+            { name: 'Roasted & Smoked Dishes', icon: 'fas fa-fire', reason: 'Oak aging\'s toasty notes echo the char' }
+        ]
+    },
+    {
+        when: facts => facts.oak && facts.family === 'BIANCO',
+        foods: [
+            { name: 'Roast Chicken', icon: 'fas fa-drumstick-bite', reason: 'An oak-aged white has the body for roast poultry' },
+            { name: 'Butter & Cream Sauces', icon: 'fas fa-utensils', reason: 'Oak gives a creamy texture to match the sauce' }
+        ]
+    },
+    {
+        when: facts => facts.family === 'BIANCO' && facts.acidity >= 4 && facts.body <= 3,
+        foods: [
+            { name: 'Fried Seafood', icon: 'fas fa-fish', reason: 'High acidity cuts through the batter like a squeeze of lemon' }
+        ]
+    },
+    {
+        when: facts => facts.family === 'BIANCO' && facts.body >= 4,
+        foods: [
+            { name: 'Creamy Pasta', icon: 'fas fa-utensils', reason: 'A full-bodied white stands up to cream and butter' }
+        ]
+    },
+    {
+        when: () => true,
+        foods: facts => WineFoodRules.FAMILY_DEFAULTS[facts.family] || WineFoodRules.FAMILY_DEFAULTS.ROSSO
+    }
+];
+
+// Make WineFoodRules available globally
+if (typeof window !== 'undefined') {
+    window.WineFoodRules = WineFoodRules;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineFoodRules;
+}
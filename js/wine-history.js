@@ -0,0 +1,90 @@
+/**
+ * Wine History
+ * Recently opened wines and recent search terms, kept in localStorage so a guest who
+ * steps away from the table finds the bottle they were considering when they come back.
+ */
+
+const WineHistory = {
+    WINES_KEY: 'recentWines',
+    SEARCHES_KEY: 'recentSearches',
+    MAX_ITEMS: 8,
+
+    read(key) {
+        try {
+            const items = JSON.parse(localStorage.getItem(key));
+            return Array.isArray(items) ? items : [];
+        } catch (_) {
+            return [];
+        }
+    },
+
+    write(key, items) {
+        try { localStorage.setItem(key, JSON.stringify(items.slice(0, this.MAX_ITEMS))); } catch (_) {}
+    },
+
+    /**
+     * Records a wine opened in the details page (most recent first, no duplicates)
+     */
+    addWine(wine) {
+        if (!wine || !wine.wine_number) return;
+        const id = String(wine.wine_number);
+        const items = this.read(this.WINES_KEY).filter(item => item.id !== id);
+        items.unshift({
+            id,
+            name: wine.wine_name || '',
+            producer: wine.wine_producer || '',
+            viewedAt: Date.now()
+        });
+        this.write(this.WINES_KEY, items);
+    },
+
+    /**
+     * Recently opened wines: [{ id, name, producer, viewedAt }].
+     * With the catalog, wines no longer on the list are left out.
+     */
+    getWines(wines = null) {
+        const items = this.read(this.WINES_KEY);
+        if (!wines) return items;
+        const ids = new Set(wines.map(wine => String(wine.wine_number)));
+        return items.filter(item => ids.has(item.id));
+    },
+
+    /**
+     * Records a search term. While the guest refines a search ("bar", "barolo")
+     * only the latest version is kept.
+     */
+    addSearch(term) {
+        const value = String(term || '').trim();
+        if (value.length < 2) return;
+        const folded = value.toLowerCase();
+
+        const items = this.read(this.SEARCHES_KEY).filter((item, index) => {
+            const previous = String(item).toLowerCase();
+            if (previous === folded) return false;
+            return !(index === 0 && (folded.startsWith(previous) || previous.startsWith(folded)));
+        });
+        items.unshift(value);
+        this.write(this.SEARCHES_KEY, items);
+    },
+
+    getSearches() {
+        return this.read(this.SEARCHES_KEY).filter(item => typeof item === 'string');
+    },
+
+    clear() {
+        try {
+            localStorage.removeItem(this.WINES_KEY);
+            localStorage.removeItem(this.SEARCHES_KEY);
+        } catch (_) {}
+    }
+};
+
+// Make WineHistory available globally
+if (typeof window !== 'undefined') {
+    window.WineHistory = WineHistory;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineHistory;
+}
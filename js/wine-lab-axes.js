@@ -0,0 +1,114 @@
+/**
+ * Wine Lab Axes
+ * Which axes a Wine Lab card starts with: the structure radar (WineRadar) and the aroma bars,
+ * by wine family, with Metodo Classico and sweet wines getting their own. Staff can add or
+ * remove axes on a card; an axis is a key with a label, and keys not in the lists below
+ * ("custom-…") are staff-made. Cards keep their axes in `radarAxes` / `aromaAxes` (WineLabStore).
+ */
+
+const WineLabAxes = {
+    RADAR_LIMITS: [3, 10],
+    AROMA_LIMITS: [1, 10],
+
+    // Layout of Wine Lab cards saved before the templates: the red-wine set for every wine
+    LEGACY: {
+        radar: ['body', 'tannins', 'alcohol', 'persistence', 'acidity', 'complexity'],
+        aroma: ['redFruit', 'blackFruit', 'floral', 'vanilla', 'spice', 'earth', 'coffee']
+    },
+
+    // Aroma labels that read better than WineProfile.AROMA_LABELS on a given template
+    AROMA_LABELS: {
+        classico: { pastry: 'Brioche' }
+    },
+
+    TEMPLATES: {
+        'ROSSO': {
+            radar: ['body', 'tannins', 'alcohol', 'persistence', 'acidity', 'complexity'],
+            aroma: ['redFruit', 'blackFruit', 'floral', 'vanilla', 'spice', 'earth', 'coffee']
+        },
+        'BIANCO': {
+            radar: ['body', 'acidity', 'alcohol', 'persistence', 'sweetness', 'complexity'],
+            aroma: ['citrus', 'stoneFruit', 'tropical', 'floral', 'herbal', 'mineral', 'honey']
+        },
+        'ROSATO': {
+            radar: ['body', 'acidity', 'alcohol', 'persistence', 'sweetness', 'complexity'],
+            aroma: ['redFruit', 'citrus', 'stoneFruit', 'floral', 'herbal', 'spice']
+        },
+        'ARANCIONE': {
+            radar: ['body', 'tannins', 'acidity', 'alcohol', 'persistence', 'complexity'],
+            aroma: ['stoneFruit', 'citrus', 'herbal', 'spice', 'honey', 'earth']
+        },
+        'BOLLICINE': {
+            radar: ['body', 'acidity', 'mousse', 'sweetness', 'persistence', 'complexity'],
+            aroma: ['citrus', 'stoneFruit', 'tropical', 'floral', 'herbal']
+        },
+        'NON ALCOLICO': {
+            radar: ['body', 'acidity', 'sweetness', 'persistence'],
+            aroma: ['citrus', 'redFruit', 'floral', 'herbal']
+        },
+        classico: {
+            radar: ['body', 'acidity', 'mousse', 'sweetness', 'persistence', 'complexity'],
+            aroma: ['citrus', 'stoneFruit', 'pastry', 'floral', 'mineral', 'honey']
+        },
+        sweet: {
+            radar: ['body', 'sweetness', 'acidity', 'alcohol', 'persistence', 'complexity'],
+            aroma: ['stoneFruit', 'tropical', 'floral', 'honey', 'spice', 'redFruit']
+        }
+    },
+
+    /**
+     * Template for a wine: { key, radar: [keys], aroma: [keys], labels: { radar, aroma } }
+     */
+    getTemplate(wine) {
+        const facts = WineFoodRules.getFacts(wine);
+        let key = this.TEMPLATES[facts.family] ? facts.family : 'ROSSO';
+        if (facts.method === 'classico' && !facts.sweet) key = 'classico';
+        else if (facts.sweet && facts.family !== 'NON ALCOLICO') key = 'sweet';
+
+        const template = this.TEMPLATES[key];
+        return {
+            key,
+            radar: [...template.radar],
+            aroma: [...template.aroma],
+            labels: {
+                radar: Object.fromEntries(template.radar.map(axis => [axis, this.label('radar', axis)])),
+                aroma: Object.fromEntries(template.aroma.map(axis => [axis, (this.AROMA_LABELS[key] || {})[axis] || this.label('aroma', axis)]))
+            }
+        };
+    },
+
+    /**
+     * Known axes of a group, key → label, for the "add axis" list
+     */
+    catalog(group) {
+        return group === 'radar' ? WineRadar.LABELS : WineProfile.AROMA_LABELS;
+    },
+
+    label(group, key) {
+        return this.catalog(group)[key] || key.replace(/^custom-/, '').replace(/-/g, ' ');
+    },
+
+    /**
+     * Key for an axis staff add by name: a known axis with that label, or a new "custom-…" key
+     */
+    keyFor(group, name, taken = []) {
+        const wanted = String(name).trim().toLowerCase();
+        const known = Object.entries(this.catalog(group)).find(([, label]) => label.toLowerCase() === wanted);
+        if (known) return known[0];
+
+        const base = `custom-${wanted.normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'axis'}`;
+        let key = base;
+        for (let n = 2; taken.includes(key); n += 1) key = `${base}-${n}`;
+        return key;
+    }
+};
+
+// Make WineLabAxes available globally
+if (typeof window !== 'undefined') {
+    window.WineLabAxes = WineLabAxes;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineLabAxes;
+}
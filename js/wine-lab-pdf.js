@@ -0,0 +1,357 @@
+/**
+ * Wine Lab PDF
+ * Print-ready Wine Lab cards drawn with jsPDF primitives: text stays sharp and selectable,
+ * the radar and the aroma bars are vector shapes in the wine's theme colours
+ * (WineListApp.getWineLabTheme). Two layouts, one card per page: an A5 portrait table tent
+ * and an A6 landscape shelf talker. Several cards make a batch PDF.
+ *
+ * An entry is a merged card: { fields, radarAxes, radar, radarLabels, aromaAxes, aroma, aromaNames,
+ * legend, inferred, theme: { primary, accent, dark, lightBg } } (see WineLabStore for the card parts).
+ * Any number of axes is drawn; without axes lists, the six WineRadar.METRICS and the AROMAS.
+ */
+
+const WineLabPDF = {
+    LAYOUTS: {
+        tent: { label: 'A5 table tent', format: 'a5', orientation: 'portrait' },
+        shelf: { label: 'A6 shelf talker', format: 'a6', orientation: 'landscape' }
+    },
+
+    AROMAS: ['redFruit', 'blackFruit', 'floral', 'vanilla', 'spice', 'earth', 'coffee'],
+    AROMA_MAX: 200,
+
+    TEXT: '#1A1A1A',
+    MUTED: '#6B6B6B',
+    WHITE: '#FFFFFF',
+
+    // Default texts of the editor, left off the printed card
+    PLACEHOLDERS: [
+        'Visual notes.', 'Aromatic notes.', 'Palate notes.', 'Add food pairings here.',
+        'Vintage notes and story.', 'Classification / Appellation', 'Aging details', 'Grapes', 'N/A'
+    ],
+
+    /**
+     * One page per entry. jsPDFClass is window.jspdf.jsPDF (or window.jsPDF).
+     */
+    create(entries, layoutKey, jsPDFClass) {
+        const layout = this.LAYOUTS[layoutKey] || this.LAYOUTS.tent;
+        const pdf = new jsPDFClass({ orientation: layout.orientation, unit: 'mm', format: layout.format });
+        const width = pdf.internal.pageSize.getWidth();
+        const height = pdf.internal.pageSize.getHeight();
+
+        entries.forEach((entry, index) => {
+            if (index > 0) pdf.addPage(layout.format, layout.orientation);
+            if (layoutKey === 'shelf') {
+                this.drawShelfTalker(pdf, entry, width, height);
+            } else {
+                this.drawTableTent(pdf, entry, width, height);
+            }
+        });
+        return pdf;
+    },
+
+    /**
+     * A5 portrait: header band, details, both charts, vintage, tasting notes and pairings
+     */
+    drawTableTent(pdf, entry, width, height) {
+        const { fields, theme } = entry;
+        const margin = 10;
+        const footerTop = height - 12;
+
+        this.drawHeader(pdf, entry, width, 30, { winery: 10, name: 18 });
+
+        let y = 40;
+        y = this.paragraph(pdf, this.value(fields.classification), margin, y, width - margin * 2,
+            { font: ['times', 'italic'], size: 11, color: theme.primary, lineHeight: 4.6, maxLines: 1 });
+
+        const details = [
+            ['Producer', fields.producer],
+            ['Grapes', fields.grapes],
+            ['Vintage', fields.vintageSpec],
+            ['Alcohol', fields.alcohol],
+            ['Aging', fields.aging],
+            ['Serving', fields.servingTemp],
+            ['Cellaring', fields.cellaring]
+        ].filter(([, value]) => this.value(value));
+        const columnWidth = (width - margin * 2 - 6) / 2;
+        details.forEach(([label, value], index) => {
+            const x = margin + (index % 2) * (columnWidth + 6);
+            const rowY = y + 3 + Math.floor(index / 2) * 10;
+            this.label(pdf, label, x, rowY);
+            this.paragraph(pdf, value, x, rowY + 4, columnWidth, { size: 9.5, lineHeight: 4, maxLines: 1 });
+        });
+        y += 3 + Math.ceil(details.length / 2) * 10 + 2;
+
+        this.rule(pdf, theme, margin, y, width - margin);
+        y += 7;
+        this.heading(pdf, 'Body and Structure', margin + 32, y, theme, 'center');
+        this.heading(pdf, 'Aromatic Profile', margin + 97, y, theme, 'center');
+        this.drawRadar(pdf, entry, margin + 32, y + 30, 20, 6.5);
+        const rows = this.aromaAxes(entry).length;
+        const rowHeight = Math.min(6.6, 48 / Math.max(rows, 1));
+        this.drawAromas(pdf, entry, margin + 68, y + 6, 60, { rowHeight, barHeight: rowHeight * 0.64, size: Math.min(7.5, rowHeight * 1.15) });
+        y += 58;
+
+        this.rule(pdf, theme, margin, y, width - margin);
+        y += 7;
+
+        const sections = [
+            [`Vintage ${this.value(fields.vintageYear) || ''}`.trim(), fields.vintageDescription, 3],
+            ['Visual', fields.visual, 2],
+            ['Nose', fields.olfactory, 2],
+            ['Palate', fields.gustatory, 2],
+            ['Ideal Food Pairings', fields.foodPairings, 3]
+        ].filter(([, text]) => this.value(text));
+        for (const [title, text, maxLines] of sections) {
+            if (y + 9 > footerTop) break;
+            this.heading(pdf, title, margin, y, theme);
+            const lines = Math.min(maxLines, Math.floor((footerTop - y - 4) / 4.2));
+            y = this.paragraph(pdf, text, margin, y + 4.6, width - margin * 2, { size: 9.5, lineHeight: 4.2, maxLines: lines }) + 3;
+        }
+
+        this.drawFooter(pdf, entry, width, height, margin);
+    },
+
+    /**
+     * A6 landscape: header band, the essentials on the left, radar and top aromas on the right
+     */
+    drawShelfTalker(pdf, entry, width, height) {
+        const { fields, theme } = entry;
+        const margin = 7;
+        const columnWidth = 74;
+        const footerTop = height - 8;
+
+        this.drawHeader(pdf, entry, width, 21, { winery: 8, name: 14 });
+
+        let y = 28;
+        y = this.paragraph(pdf, this.value(fields.classification), margin, y, columnWidth,
+            { font: ['times', 'italic'], size: 9, color: theme.primary, lineHeight: 3.8, maxLines: 1 }) + 1;
+        const specs = [fields.grapes, fields.alcohol, fields.aging].map(value => this.value(value)).filter(Boolean).join(' · ');
+        y = this.paragraph(pdf, specs, margin, y, columnWidth, { size: 7.5, color: this.MUTED, lineHeight: 3.3, maxLines: 2 }) + 2.5;
+
+        [['Ideal Food Pairings', fields.foodPairings, 3], [`Vintage ${this.value(fields.vintageYear) || ''}`.trim(), fields.vintageDescription, 4]]
+            .filter(([, text]) => this.value(text))
+            .forEach(([title, text, maxLines]) => {
+                if (y + 7 > footerTop) return;
+                this.heading(pdf, title, margin, y, theme, 'left', 8);
+                const lines = Math.min(maxLines, Math.floor((footerTop - y - 3.5) / 3.6));
+                y = this.paragraph(pdf, text, margin, y + 3.8, columnWidth, { size: 8, lineHeight: 3.6, maxLines: lines }) + 2;
+            });
+
+        const chartX = margin + columnWidth + 8;
+        const chartWidth = width - chartX - margin;
+        this.drawRadar(pdf, entry, chartX + chartWidth / 2, 45, 13, 5.5);
+        this.drawAromas(pdf, entry, chartX, 68, chartWidth, { rowHeight: 5, barHeight: 3.2, size: 6.5, limit: 4 });
+
+        this.drawFooter(pdf, entry, width, height, margin);
+    },
+
+    drawHeader(pdf, entry, width, bandHeight, sizes) {
+        const { fields, theme } = entry;
+        this.fill(pdf, theme.primary);
+        pdf.rect(0, 0, width, bandHeight, 'F');
+
+        const badge = this.value(fields.wineType);
+        let badgeWidth = 0;
+        if (badge) {
+            pdf.setFont('helvetica', 'bold');
+            pdf.setFontSize(sizes.winery - 1.5);
+            badgeWidth = pdf.getTextWidth(badge.toUpperCase()) + 6;
+            this.fill(pdf, theme.accent);
+            pdf.roundedRect(width - badgeWidth - 8, bandHeight / 2 - 3.2, badgeWidth, 6.4, 1.5, 1.5, 'F');
+            this.color(pdf, theme.dark);
+            pdf.text(badge.toUpperCase(), width - 8 - badgeWidth / 2, bandHeight / 2 + 1, { align: 'center' });
+        }
+
+        const textWidth = width - 16 - (badgeWidth ? badgeWidth + 4 : 0);
+        this.paragraph(pdf, this.value(fields.winery), 8, bandHeight * 0.36, textWidth,
+            { font: ['helvetica', 'bold'], size: sizes.winery, color: theme.accent, lineHeight: 4, maxLines: 1 });
+        const name = [fields.wineName, fields.vintage].map(value => this.value(value)).filter(Boolean).join(' ');
+        this.paragraph(pdf, name, 8, bandHeight * 0.74, textWidth,
+            { font: ['times', 'bold'], size: sizes.name, color: this.WHITE, lineHeight: 6, maxLines: 1 });
+    },
+
+    drawFooter(pdf, entry, width, height, margin) {
+        const { fields, theme } = entry;
+        this.rule(pdf, theme, margin, height - 8, width - margin);
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(6.5);
+        this.color(pdf, this.MUTED);
+        const left = [fields.footerWinery, fields.footerWine].map(value => this.value(value)).filter(Boolean).join(' · ');
+        pdf.text(left, margin, height - 4.5);
+        const right = [fields.author, fields.year].map(value => this.value(value)).filter(Boolean).join(' ');
+        pdf.text(right, width - margin, height - 4.5, { align: 'right' });
+    },
+
+    /**
+     * The card's radar with WineRadar's geometry (first axis at the top, clockwise). Estimated values get hollow points.
+     */
+    drawRadar(pdf, entry, cx, cy, radius, labelSize) {
+        const { theme } = entry;
+        const metrics = entry.radarAxes && entry.radarAxes.length ? entry.radarAxes : WineRadar.METRICS;
+        const frame = { x: cx, y: cy, radius };
+        const vertex = (index, value) => WineRadar.point(index, value, metrics.length, frame);
+
+        pdf.setLineWidth(0.15);
+        this.stroke(pdf, this.mix(theme.accent, this.WHITE, 0.3));
+        [2.5, 5, 7.5, 10].forEach(level => {
+            this.polygon(pdf, metrics.map((_, i) => vertex(i, level)), 'S');
+        });
+        metrics.forEach((_, i) => {
+            const end = vertex(i, WineRadar.MAX_VALUE);
+            pdf.line(cx, cy, end.x, end.y);
+        });
+
+        const points = metrics.map((metric, i) => vertex(i, Number(entry.radar[metric]) || 0));
+        this.fill(pdf, this.mix(theme.primary, this.WHITE, 0.65));
+        this.stroke(pdf, theme.primary);
+        pdf.setLineWidth(0.5);
+        this.polygon(pdf, points, 'FD');
+
+        const inferred = (entry.inferred && entry.inferred.radar) || [];
+        points.forEach((point, i) => {
+            pdf.setLineWidth(0.3);
+            this.fill(pdf, inferred.includes(metrics[i]) ? this.WHITE : theme.primary);
+            pdf.circle(point.x, point.y, radius * 0.045 + 0.3, 'FD');
+        });
+
+        pdf.setFont('times', 'normal');
+        pdf.setFontSize(labelSize);
+        this.color(pdf, this.TEXT);
+        metrics.forEach((metric, i) => {
+            const position = vertex(i, WineRadar.MAX_VALUE * 1.18);
+            const align = Math.abs(position.x - cx) < 1 ? 'center' : (position.x > cx ? 'left' : 'right');
+            const label = (entry.radarLabels && entry.radarLabels[metric]) || WineRadar.LABELS[metric] || metric;
+            pdf.text(label, position.x, position.y + labelSize * 0.12, { align });
+        });
+    },
+
+    /**
+     * Horizontal aroma bars (0-200 as in the editor). With `limit`, only the strongest aromas.
+     */
+    drawAromas(pdf, entry, x, y, width, { rowHeight, barHeight, size, limit = null }) {
+        const { theme } = entry;
+        const inferred = (entry.inferred && entry.inferred.aroma) || [];
+        let aromas = this.aromaAxes(entry);
+        if (limit) {
+            aromas = [...aromas].sort((a, b) => entry.aroma[b] - entry.aroma[a]).slice(0, limit);
+        }
+
+        const labelWidth = width * 0.32;
+        const trackWidth = width - labelWidth - 2;
+        pdf.setFont('times', 'normal');
+        pdf.setFontSize(size);
+        aromas.forEach((key, index) => {
+            const rowY = y + index * rowHeight;
+            const name = (entry.aromaNames && entry.aromaNames[key]) || key;
+            this.color(pdf, this.TEXT);
+            pdf.text(name, x + labelWidth, rowY + barHeight * 0.75, { align: 'right' });
+
+            pdf.setLineWidth(0.15);
+            this.fill(pdf, theme.lightBg);
+            this.stroke(pdf, theme.accent);
+            pdf.rect(x + labelWidth + 2, rowY, trackWidth, barHeight, 'FD');
+
+            const value = Math.max(0, Math.min(this.AROMA_MAX, Number(entry.aroma[key]) || 0));
+            if (value > 0) {
+                this.fill(pdf, inferred.includes(key) ? this.mix(theme.primary, this.WHITE, 0.45) : theme.primary);
+                pdf.rect(x + labelWidth + 2, rowY, trackWidth * value / this.AROMA_MAX, barHeight, 'F');
+            }
+        });
+    },
+
+    aromaAxes(entry) {
+        const axes = entry.aromaAxes && entry.aromaAxes.length ? entry.aromaAxes : this.AROMAS;
+        return axes.filter(key => entry.aroma && entry.aroma[key] !== undefined);
+    },
+
+    heading(pdf, text, x, y, theme, align = 'left', size = 9) {
+        pdf.setFont('times', 'bold');
+        pdf.setFontSize(size);
+        this.color(pdf, theme.primary);
+        pdf.text(text.toUpperCase(), x, y, { align, charSpace: 0.3 });
+    },
+
+    label(pdf, text, x, y) {
+        pdf.setFont('helvetica', 'normal');
+        pdf.setFontSize(6.5);
+        this.color(pdf, this.MUTED);
+        pdf.text(text.toUpperCase(), x, y, { charSpace: 0.2 });
+    },
+
+    rule(pdf, theme, x1, y, x2) {
+        pdf.setLineWidth(0.3);
+        this.stroke(pdf, theme.accent);
+        pdf.line(x1, y, x2, y);
+    },
+
+    /**
+     * Wrapped text from the baseline `y`; cut with an ellipsis after maxLines. Returns the next y.
+     */
+    paragraph(pdf, text, x, y, width, { font = ['times', 'normal'], size = 9, color = this.TEXT, lineHeight = 4, maxLines = 3 } = {}) {
+        const value = String(text || '').trim();
+        if (!value || maxLines < 1) return y;
+        pdf.setFont(font[0], font[1]);
+        pdf.setFontSize(size);
+        this.color(pdf, color);
+
+        let lines = pdf.splitTextToSize(value, width);
+        if (lines.length > maxLines) {
+            lines = lines.slice(0, maxLines);
+            let last = lines[maxLines - 1];
+            while (last && pdf.getTextWidth(`${last}…`) > width) last = last.slice(0, -1);
+            lines[maxLines - 1] = `${last.trimEnd()}…`;
+        }
+        lines.forEach((line, index) => pdf.text(line, x, y + index * lineHeight));
+        return y + lines.length * lineHeight;
+    },
+
+    polygon(pdf, points, style) {
+        const segments = points.slice(1).map((point, i) => [point.x - points[i].x, point.y - points[i].y]);
+        pdf.lines(segments, points[0].x, points[0].y, [1, 1], style, true);
+    },
+
+    /**
+     * Field text worth printing: empty and the editor's placeholders give ''
+     */
+    value(text) {
+        const value = String(text === undefined || text === null ? '' : text).trim();
+        return this.PLACEHOLDERS.includes(value) ? '' : value;
+    },
+
+    fill(pdf, hex) {
+        pdf.setFillColor(...this.rgb(hex));
+    },
+
+    stroke(pdf, hex) {
+        pdf.setDrawColor(...this.rgb(hex));
+    },
+
+    color(pdf, hex) {
+        pdf.setTextColor(...this.rgb(hex));
+    },
+
+    rgb(hex) {
+        const value = String(hex).replace('#', '');
+        const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+        return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16) || 0);
+    },
+
+    /**
+     * `hex` mixed with `other` (share 0-1 of `other`), for print tints instead of transparency
+     */
+    mix(hex, other, share) {
+        const a = this.rgb(hex);
+        const b = this.rgb(other);
+        return '#' + a.map((channel, i) => Math.round(channel + (b[i] - channel) * share).toString(16).padStart(2, '0')).join('');
+    }
+};
+
+// Make WineLabPDF available globally
+if (typeof window !== 'undefined') {
+    window.WineLabPDF = WineLabPDF;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineLabPDF;
+}
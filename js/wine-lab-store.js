@@ -0,0 +1,212 @@
+/**
+ * Wine Lab Store
+ * Wine Lab cards saved on this device, keyed by wine_number, with the last few versions of
+ * each so an edit can be undone after a reload. A card is the editor state: text fields,
+ * radar and aroma values with their labels, legend, file name and what is still estimated.
+ *
+ * Cards move between devices as JSON files ("Export card" / "Export all" / "Import"):
+ *   {
+ *     "format": "gca-wine-lab-cards",
+ *     "version": 1,
+ *     "exportedAt": "2026-10-19T16:42:00.000Z",
+ *     "cards": [{
+ *       "wine_number": "397",
+ *       "wine_name": "FRANCIACORTA AMINANTE",            (for people only, ignored on import)
+ *       "savedAt": 1792428120000,
+ *       "card": {
+ *         "fields": { "winery": "Barone Pizzini", "visual": "Pale straw", ... },   (data-field → text)
+ *         "radarAxes": ["body", "acidity", "mousse", "sweetness", "persistence", "complexity"],  (in order, see WineLabAxes)
+ *         "radar": { "body": 6, "acidity": 8, "mousse": 7, ... },                  (1-10)
+ *         "radarLabels": { "body": "Body", ... },
+ *         "aromaAxes": ["citrus", "stoneFruit", "pastry", "custom-green-apple"],
+ *         "aroma": { "citrus": 160, "stoneFruit": 140, "pastry": 120, ... },       (bar width, 0-200)
+ *         "aromaNames": { "pastry": "Brioche", "custom-green-apple": "Green Apple", ... },
+ *         "legend": "Franciacorta Aminante NV",
+ *         "filename": "Franciacorta Aminante NV",
+ *         "inferred": { "radar": ["persistence"], "aroma": [] }                  (values still estimated)
+ *       }
+ *     }]
+ *   }
+ * Every part of "card" is optional: what is missing comes from the wine's defaults. Cards with
+ * values but no axes lists were saved with the red-wine axes (WineLabAxes.LEGACY) and keep them.
+ */
+
+const WineLabStore = {
+    KEY: 'wineLabCards',
+    MAX_VERSIONS: 10,
+    FORMAT: 'gca-wine-lab-cards',
+    FORMAT_VERSION: 1,
+    RADAR_RANGE: [1, 10],
+    AROMA_RANGE: [0, 200],
+
+    readAll() {
+        try {
+            const cards = JSON.parse(localStorage.getItem(this.KEY));
+            return cards && typeof cards === 'object' && !Array.isArray(cards) ? cards : {};
+        } catch (_) {
+            return {};
+        }
+    },
+
+    writeAll(cards) {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(cards));
+            return true;
+        } catch (_) {
+            return false;
+        }
+    },
+
+    /**
+     * Saved versions of a wine's card, newest first: [{ savedAt, card }]
+     */
+    getHistory(id) {
+        const versions = this.readAll()[String(id)];
+        return Array.isArray(versions) ? versions : [];
+    },
+
+    getLatest(id) {
+        const [latest] = this.getHistory(id);
+        return latest ? latest.card : null;
+    },
+
+    /**
+     * Saves a new version; one identical to the latest is not repeated.
+     * Returns the saved version, or null when the browser storage is full or unavailable.
+     */
+    save(id, card) {
+        const cards = this.readAll();
+        const versions = this.getHistory(id);
+        if (versions.length && this.sameCard(versions[0].card, card)) {
+            return versions[0];
+        }
+
+        const version = { savedAt: Date.now(), card };
+        cards[String(id)] = [version, ...versions].slice(0, this.MAX_VERSIONS);
+        return this.writeAll(cards) ? version : null;
+    },
+
+    /**
+     * Whether two cards hold the same content, whatever the order of their keys
+     * (axes lists keep their order: it is the order on the chart)
+     */
+    sameCard(a, b) {
+        const canonical = value => {
+            if (Array.isArray(value)) return value.map(canonical);
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.keys(value).sort().map(key => [key, canonical(value[key])]));
+            }
+            return value;
+        };
+        return JSON.stringify(canonical(a)) === JSON.stringify(canonical(b));
+    },
+
+    remove(id) {
+        const cards = this.readAll();
+        delete cards[String(id)];
+        this.writeAll(cards);
+    },
+
+    /**
+     * Export file for [{ wine_number, wine_name, savedAt, card }]
+     */
+    toExport(entries) {
+        return {
+            format: this.FORMAT,
+            version: this.FORMAT_VERSION,
+            exportedAt: new Date().toISOString(),
+            cards: entries.map(entry => ({
+                wine_number: String(entry.wine_number),
+                wine_name: entry.wine_name || '',
+                savedAt: entry.savedAt || Date.now(),
+                card: entry.card
+            }))
+        };
+    },
+
+    /**
+     * Export file with the latest saved card of every wine. `wines` (optional) adds the names.
+     */
+    exportAll(wines = []) {
+        const names = new Map(wines.map(wine => [String(wine.wine_number), wine.wine_name]));
+        const entries = Object.entries(this.readAll())
+            .filter(([, versions]) => Array.isArray(versions) && versions.length)
+            .map(([id, versions]) => ({ wine_number: id, wine_name: names.get(id), savedAt: versions[0].savedAt, card: versions[0].card }));
+        return this.toExport(entries);
+    },
+
+    /**
+     * Cards of an export file: [{ wine_number, savedAt, card }]. Throws an Error with a
+     * readable message when the file is not a Wine Lab export; single bad cards are skipped.
+     */
+    parseImport(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (_) {
+            throw new Error('the file is not valid JSON');
+        }
+        if (!data || data.format !== this.FORMAT || !Array.isArray(data.cards)) {
+            throw new Error('the file is not a Wine Lab card export');
+        }
+        if (data.version > this.FORMAT_VERSION) {
+            throw new Error(`the file was written by a newer version (format ${data.version})`);
+        }
+
+        return data.cards
+            .map(entry => ({
+                wine_number: entry && entry.wine_number !== undefined ? String(entry.wine_number) : '',
+                savedAt: Number(entry && entry.savedAt) || Date.now(),
+                card: this.normalizeCard(entry && entry.card)
+            }))
+            .filter(entry => entry.wine_number && entry.card);
+    },
+
+    /**
+     * Keeps only the known parts of an imported card, with values in range
+     */
+    normalizeCard(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+        const isObject = value => value && typeof value === 'object' && !Array.isArray(value);
+        const texts = value => Object.fromEntries(Object.entries(isObject(value) ? value : {})
+            .filter(([, text]) => typeof text === 'string' || typeof text === 'number')
+            .map(([key, text]) => [key, String(text)]));
+        const numbers = (value, [min, max]) => Object.fromEntries(Object.entries(isObject(value) ? value : {})
+            .filter(([, number]) => (typeof number === 'number' || (typeof number === 'string' && number.trim() !== ''))
+                && Number.isFinite(Number(number)))
+            .map(([key, number]) => [key, Math.min(max, Math.max(min, Math.round(Number(number))))]));
+
+        const axes = value => (Array.isArray(value) ? value : [])
+            .filter((key, index, list) => typeof key === 'string' && /^[\w-]+$/.test(key) && list.indexOf(key) === index);
+
+        // Same key order as the editor's cards (getCard in main.js)
+        const radarAxes = axes(raw.radarAxes);
+        const aromaAxes = axes(raw.aromaAxes);
+        const card = { fields: texts(raw.fields) };
+        if (radarAxes.length) card.radarAxes = radarAxes;
+        card.radar = numbers(raw.radar, this.RADAR_RANGE);
+        card.radarLabels = texts(raw.radarLabels);
+        if (aromaAxes.length) card.aromaAxes = aromaAxes;
+        card.aroma = numbers(raw.aroma, this.AROMA_RANGE);
+        card.aromaNames = texts(raw.aromaNames);
+        if (typeof raw.legend === 'string') card.legend = raw.legend;
+        if (typeof raw.filename === 'string') card.filename = raw.filename;
+        if (isObject(raw.inferred)) {
+            card.inferred = {
+                radar: Array.isArray(raw.inferred.radar) ? raw.inferred.radar.filter(key => typeof key === 'string') : [],
+                aroma: Array.isArray(raw.inferred.aroma) ? raw.inferred.aroma.filter(key => typeof key === 'string') : []
+            };
+        }
+        return card;
+    }
+};
+
+// Make WineLabStore available globally
+if (typeof window !== 'undefined') {
+    window.WineLabStore = WineLabStore;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineLabStore;
+}
@@ -0,0 +1,338 @@
+/**
+ * Wine Pairings
+ * Loads the Gran Caffè dish pairings (data/FoodParingWineDetails.json) and links
+ * each recommended wine ("Frascati – Pallavicini 2024") to the wines in the catalog.
+ * A recommendation can carry an explicit link, "wine_number": "233" (or a list of ids);
+ * without it the wine is matched on producer, name and vintage. Staff see the ambiguous
+ * and unmatched ones on dishes.html?staff=1 and can download the file with the links filled in.
+ */
+
+const WinePairings = {
+    DATA_PATH: './data/FoodParingWineDetails.json',
+
+    dishes: null,
+    loadingPromise: null,
+
+    /**
+     * Loads the dish list once. Resolves with [] when the file is not available.
+     */
+    load() {
+        if (!this.loadingPromise) {
+            const pairingsPath = typeof getPath === 'function' ? getPath(this.DATA_PATH) : this.DATA_PATH;
+            this.loadingPromise = fetch(pairingsPath + '?v=' + Date.now())
+                .then(response => {
+                    if (!response.ok) throw new Error(`HTTP error! status: ${response.status}`);
+                    return response.json();
+                })
+                .then(dishes => {
+                    this.dishes = Array.isArray(dishes) ? dishes : [];
+                    return this.dishes;
+                })
+                .catch(error => {
+                    console.warn('Food pairings data not available:', error);
+                    this.loadingPromise = null;
+                    return [];
+                });
+        }
+        return this.loadingPromise;
+    },
+
+    // Lowercase, no accents, straight apostrophes
+    normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[’‘`]/g, '\'')
+            .replace(/\*/g, '')
+            .toLowerCase()
+            .replace(/\s+/g, ' ')
+            .trim();
+    },
+
+    /**
+     * "Barolo – Paesi Tuoi 2019" -> { wine: 'barolo', producer: 'paesi tuoi', vintage: 2019 }
+     */
+    parseRecommendation(name) {
+        const [winePart, producerPart = ''] = String(name || '').split(/\s[–—-]\s/);
+        const yearMatch = producerPart.match(/\b(19|20)\d{2}\b/);
+        return {
+            wine: this.normalizeText(winePart),
+            producer: this.normalizeProducer(producerPart.replace(/\b(19|20)\d{2}\b/, '')),
+            vintage: yearMatch ? Number(yearMatch[0]) : null
+        };
+    },
+
+    // Same producer spelling as the wineries database (js/wineries.js) when the page loads it
+    normalizeProducer(name) {
+        return this.normalizeText(typeof WineriesDB !== 'undefined' ? WineriesDB.normalizeName(name) : name)
+            .replace(/[()]/g, '');
+    },
+
+    // Words that say nothing about which wine it is
+    STOPWORDS: ['di', 'del', 'della', 'dei', 'delle', 'd', 'da', 'e', 'and', 'the', 'il', 'la', 'lo', 'le', 'doc', 'docg', 'igt'],
+    // Colour words say what kind of wine it is, not which one: they rule out the other colours
+    // (by wine family) but are no evidence of a match on their own
+    COLOURS: { rosso: 'ROSSO', bianco: 'BIANCO', rosato: 'ROSATO', rose: 'ROSATO' },
+    // A recommendation that names one of these only fits wines that have it too
+    QUALIFIERS: ['superiore', 'riserva'],
+
+    tokens(text) {
+        return this.normalizeText(text)
+            .split(/[^a-z0-9]+/)
+            .filter(token => token && !this.STOPWORDS.includes(token));
+    },
+
+    // A catalog wine must score at least this much (0-1) to be a match
+    MATCH_THRESHOLD: 0.6,
+    // Different wines scoring within this margin of the best one make the match ambiguous
+    AMBIGUITY_MARGIN: 0.1,
+    // Match results for the current catalog, by recommendation name
+    matchCache: { wines: null, results: new Map() },
+
+    /**
+     * How well a catalog wine fits a parsed recommendation (0-1): producer 45%,
+     * name tokens 45% (colour words left out), vintage 10%. Wines from another producer score 0;
+     * another colour or a missing Superiore/Riserva gives no name score.
+     */
+    scoreCandidate(parsed, wine) {
+        const producer = this.normalizeProducer(wine.wine_producer);
+        if (!producer || !parsed.producer) return 0;
+
+        let producerScore = 0;
+        if (producer === parsed.producer) {
+            producerScore = 1;
+        } else if (producer.includes(parsed.producer) || parsed.producer.includes(producer)) {
+            producerScore = 0.8;
+        } else {
+            const ours = new Set(this.tokens(producer));
+            const theirs = this.tokens(parsed.producer);
+            const shared = theirs.filter(token => ours.has(token)).length;
+            producerScore = shared ? 0.6 * shared / Math.max(ours.size, theirs.length) : 0;
+        }
+        if (!producerScore) return 0;
+
+        const wanted = this.tokens(parsed.wine);
+        const specific = wanted.filter(token => !this.COLOURS[token]);
+        const available = this.nameTokens(wine);
+        const qualified = wanted.every(token => available.has(token)
+            || (this.COLOURS[token] ? this.COLOURS[token] === wine.family : !this.QUALIFIERS.includes(token)));
+        const nameScore = specific.length && qualified ? specific.filter(token => available.has(token)).length / specific.length : 0;
+
+        let vintageScore = 0.5;
+        if (parsed.vintage && wine.vintageYear) {
+            vintageScore = parsed.vintage === wine.vintageYear ? 1 : 0;
+        }
+
+        return 0.45 * producerScore + 0.45 * nameScore + 0.1 * vintageScore;
+    },
+
+    // Words a catalog wine can be recognised by: name, appellation and menu section
+    nameTokens(wine) {
+        return new Set(this.tokens(`${wine.wine_name} ${wine.appellation && wine.appellation.name ? wine.appellation.name : ''} ${wine.subcategory || ''}`));
+    },
+
+    // Single-vineyard bottlings: "MGA: COSTA RUSSI (COMUNE: BARBARESCO 2020)" -> 'costa russi'
+    vineyard(wine) {
+        const match = String(wine.wine_vintage || '').match(/\bMGA:\s*([^(]+)/i);
+        return match ? this.normalizeText(match[1]) : '';
+    },
+
+    /**
+     * Same wine in another row (a bottle size, a menu section): name, producer and vineyard.
+     * The vintage is compared apart, see match.
+     */
+    isSameWine(a, b) {
+        return this.normalizeText(a.wine_name) === this.normalizeText(b.wine_name)
+            && this.normalizeProducer(a.wine_producer) === this.normalizeProducer(b.wine_producer)
+            && this.vineyard(a) === this.vineyard(b);
+    },
+
+    /**
+     * Links a recommendation ({ name, wine_number? }) to the catalog.
+     * An explicit wine_number (one id or a list) in the pairings file wins; otherwise the
+     * best scoring wines are used. Returns { status, wines, candidates } where status is
+     * 'linked' | 'matched' | 'ambiguous' | 'unmatched' and candidates are the best scored
+     * wines ([{ wine, score }]) for the staff report.
+     */
+    match(recommendation, wines) {
+        const rec = typeof recommendation === 'string' ? { name: recommendation } : (recommendation || {});
+
+        if (rec.wine_number !== undefined && rec.wine_number !== null && rec.wine_number !== '') {
+            const ids = (Array.isArray(rec.wine_number) ? rec.wine_number : [rec.wine_number]).map(String);
+            const linked = wines.filter(wine => ids.includes(String(wine.wine_number)));
+            return { status: linked.length ? 'linked' : 'unmatched', wines: linked, candidates: [] };
+        }
+
+        if (this.matchCache.wines !== wines) {
+            this.matchCache = { wines, results: new Map() };
+        }
+        if (this.matchCache.results.has(rec.name)) {
+            return this.matchCache.results.get(rec.name);
+        }
+
+        const parsed = this.parseRecommendation(rec.name);
+        const candidates = wines
+            .map(wine => ({ wine, score: this.scoreCandidate(parsed, wine) }))
+            .filter(candidate => candidate.score > 0)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, 5);
+
+        const best = candidates[0];
+        let result;
+        if (!best || best.score < this.MATCH_THRESHOLD) {
+            result = { status: 'unmatched', wines: [], candidates };
+        } else {
+            // Rows of the same wine and vintage all match. Other vintages are left out when the
+            // recommended one is on the list; anything else this close makes the match ambiguous.
+            const top = candidates.filter(candidate => candidate.score >= best.score - this.AMBIGUITY_MARGIN);
+            const sameWine = top.filter(candidate => this.isSameWine(candidate.wine, best.wine)
+                && candidate.wine.vintageYear === best.wine.vintageYear);
+            const vintageFound = Boolean(parsed.vintage) && best.wine.vintageYear === parsed.vintage;
+            const status = top.every(candidate => sameWine.includes(candidate)
+                || (vintageFound && this.isSameWine(candidate.wine, best.wine))) ? 'matched' : 'ambiguous';
+            result = { status, wines: (status === 'matched' ? sameWine : top).map(candidate => candidate.wine), candidates };
+        }
+
+        this.matchCache.results.set(rec.name, result);
+        return result;
+    },
+
+    /**
+     * Catalog wines for a recommendation (see match). Ambiguous matches give none:
+     * better no wine than the wrong one.
+     */
+    resolve(recommendation, wines) {
+        const result = this.match(recommendation, wines);
+        return result.status === 'ambiguous' ? [] : result.wines;
+    },
+
+    /**
+     * Why an explicit link needs a second look, or null: 'other vintage' when a linked row is not
+     * the recommended vintage, 'missing Riserva' (or Superiore) when a linked row lacks a qualifier
+     * the recommendation names, 'different wines' when the linked rows are not all one wine
+     */
+    checkLink(recommendation, linked) {
+        const parsed = this.parseRecommendation(recommendation.name);
+        if (parsed.vintage && linked.some(wine => wine.vintageYear && wine.vintageYear !== parsed.vintage)) return 'other vintage';
+        const qualifiers = this.tokens(parsed.wine).filter(token => this.QUALIFIERS.includes(token));
+        const missing = qualifiers.find(token => linked.some(wine => !this.nameTokens(wine).has(token)));
+        if (missing) return `missing ${missing.charAt(0).toUpperCase()}${missing.slice(1)}`;
+        if (linked.some(wine => !this.isSameWine(wine, linked[0]))) return 'different wines';
+        return null;
+    },
+
+    /**
+     * Staff report of the links between the pairings file and the catalog:
+     * { counts: { linked, matched, ambiguous, unmatched }, issues: [{ dish, name, status, note, candidates }] }
+     * Explicit links are listed too when checkLink finds something; their candidates are the linked wines.
+     */
+    report(wines, dishes = this.dishes || []) {
+        const counts = { linked: 0, matched: 0, ambiguous: 0, unmatched: 0 };
+        const issues = [];
+        dishes.forEach(dish => {
+            (dish.wines || []).forEach(recommendation => {
+                const result = this.match(recommendation, wines);
+                counts[result.status]++;
+                if (result.status === 'ambiguous' || result.status === 'unmatched') {
+                    issues.push({ dish: dish.dish, name: recommendation.name, status: result.status, note: null, candidates: result.candidates });
+                } else if (result.status === 'linked') {
+                    const note = this.checkLink(recommendation, result.wines);
+                    if (!note) return;
+                    const parsed = this.parseRecommendation(recommendation.name);
+                    const candidates = result.wines.map(wine => ({ wine, score: this.scoreCandidate(parsed, wine) }));
+                    issues.push({ dish: dish.dish, name: recommendation.name, status: 'linked', note, candidates });
+                }
+            });
+        });
+        return { counts, issues };
+    },
+
+    /**
+     * Copy of the pairings file with every confident match written as an explicit
+     * wine_number link (a list when several bottlings match), ready to replace the data file
+     */
+    withLinks(wines, dishes = this.dishes || []) {
+        return dishes.map(dish => Object.assign({}, dish, {
+            wines: (dish.wines || []).map(recommendation => {
+                const result = this.match(recommendation, wines);
+                if (result.status !== 'matched') return recommendation;
+                const ids = result.wines.map(wine => String(wine.wine_number));
+                return Object.assign({}, recommendation, { wine_number: ids.length === 1 ? ids[0] : ids });
+            })
+        }));
+    },
+
+    /**
+     * Catalog wines recommended for a dish, best GCA score first
+     */
+    getWinesForDish(dish, wines) {
+        const seen = new Set();
+        return [...((dish && dish.wines) || [])]
+            .sort((a, b) => (Number(b['GCA score']) || 0) - (Number(a['GCA score']) || 0))
+            .flatMap(recommendation => this.resolve(recommendation, wines))
+            .filter(wine => !seen.has(wine.wine_number) && seen.add(wine.wine_number));
+    },
+
+    /**
+     * Recommendations of a dish, best GCA score first, each with its catalog wines:
+     * [{ name, region, score, reason, status, wines }]. `wines` is empty when the wine is not
+     * on the list or the match is ambiguous (see match).
+     */
+    getRecommendations(dish, wines) {
+        return ((dish && dish.wines) || [])
+            .map(recommendation => ({
+                name: recommendation.name,
+                region: recommendation.region || '',
+                score: Number(recommendation['GCA score']) || null,
+                reason: recommendation.reason || '',
+                status: this.match(recommendation, wines).status,
+                wines: this.resolve(recommendation, wines)
+            }))
+            .sort((a, b) => (b.score || 0) - (a.score || 0));
+    },
+
+    /**
+     * Dishes grouped by their region, regions and dishes in alphabetical order: [{ region, dishes }]
+     */
+    groupByRegion(dishes = this.dishes || []) {
+        const groups = new Map();
+        dishes.forEach(dish => {
+            const region = dish.region || 'Other';
+            if (!groups.has(region)) groups.set(region, []);
+            groups.get(region).push(dish);
+        });
+        return [...groups.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .map(([region, list]) => ({
+                region,
+                dishes: list.sort((a, b) => String(a.dish).localeCompare(String(b.dish)))
+            }));
+    },
+
+    /**
+     * Best GCA score of every catalog wine that appears in the pairings: Map(wine_number -> score)
+     */
+    getScores(wines) {
+        const scores = new Map();
+        (this.dishes || []).forEach(dish => {
+            (dish.wines || []).forEach(recommendation => {
+                const score = Number(recommendation['GCA score']);
+                if (!score) return;
+                this.resolve(recommendation, wines).forEach(wine => {
+                    scores.set(wine.wine_number, Math.max(scores.get(wine.wine_number) || 0, score));
+                });
+            });
+        });
+        return scores;
+    }
+};
+
+// Make WinePairings available globally
+if (typeof window !== 'undefined') {
+    window.WinePairings = WinePairings;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WinePairings;
+}
@@ -0,0 +1,117 @@
+/**
+ * Wine Print List
+ * The à-la-carte wine list for paper, built from the live catalog so the printed menu always
+ * matches the app: wine families, then regions, then the subcategory groups of
+ * groupWinesBySubcategory (subcategory-helper.js). The print page (print-list.html) lets staff
+ * choose the families and columns; the choice is kept on this device.
+ */
+
+const WinePrintList = {
+    KEY: 'printListOptions',
+
+    // families: null prints every family, in WineCatalog.FAMILIES order
+    DEFAULTS: {
+        title: 'Wine List',
+        families: null,
+        toc: true,
+        glass: true,
+        descriptions: false,
+        soldOut: false
+    },
+
+    getOptions() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(this.KEY));
+            return { ...this.DEFAULTS, ...(saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {}) };
+        } catch (_) {
+            return { ...this.DEFAULTS };
+        }
+    },
+
+    saveOptions(options) {
+        try {
+            localStorage.setItem(this.KEY, JSON.stringify(options));
+        } catch (_) {
+            // Storage full or unavailable: the options only last for this visit
+        }
+    },
+
+    /**
+     * Sections to print: [{ family, id, count, regions: [{ region, id, count, groups }] }], where
+     * groups is groupWinesBySubcategory() of the region's wines, always in the default order (price)
+     * whatever sort a guest left on this device. regionOf(wine) is the region the
+     * wine is listed under (the app passes normalizeRegionName, so spelling variants merge).
+     */
+    build(wines, options, regionOf = wine => wine.region || '') {
+        const families = options.families || WineCatalog.FAMILIES;
+        return WineCatalog.FAMILIES
+            .filter(family => families.includes(family))
+            .map(family => {
+                const familyWines = wines.filter(wine => WineCatalog.matchesFamily(wine, family)
+                    && (options.soldOut || !this.isSoldOut(wine)));
+
+                const byRegion = new Map();
+                familyWines.forEach(wine => {
+                    const region = regionOf(wine) || 'OTHER REGIONS';
+                    if (!byRegion.has(region)) byRegion.set(region, []);
+                    byRegion.get(region).push(wine);
+                });
+
+                const regions = [...byRegion.entries()]
+                    .sort(([a], [b]) => a.localeCompare(b))
+                    .map(([region, list]) => ({
+                        region,
+                        id: this.slug(`${family} ${region}`),
+                        count: list.length,
+                        groups: groupWinesBySubcategory(list, WineSort.DEFAULT)
+                    }));
+                return { family, id: this.slug(family), count: familyWines.length, regions };
+            })
+            .filter(section => section.count > 0);
+    },
+
+    /**
+     * One line of the list: { bin, name, producer, vintage, glass, bottle, soldOut, description }
+     */
+    describe(wine) {
+        const prices = wine.prices || WineCatalog.parsePrices(wine);
+        const year = wine.vintageYear ?? WineCatalog.parseVintageYear(wine.wine_vintage);
+        return {
+            bin: String(wine.wine_number),
+            name: wine.wine_name || '',
+            producer: wine.wine_producer || '',
+            vintage: year ? String(year) : 'NV',
+            glass: this.formatPrice(prices.glass),
+            bottle: this.formatPrice(prices.bottle),
+            soldOut: prices.soldOut,
+            description: wine.wine_description || ''
+        };
+    },
+
+    isSoldOut(wine) {
+        return (wine.prices || WineCatalog.parsePrices(wine)).soldOut;
+    },
+
+    // Prices as on the paper menus: no currency sign
+    formatPrice(value) {
+        if (typeof value !== 'number') return '';
+        return Number.isInteger(value) ? String(value) : value.toFixed(2);
+    },
+
+    slug(text) {
+        return String(text).toLowerCase()
+            .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-|-$/g, '');
+    }
+};
+
+// Make WinePrintList available globally
+if (typeof window !== 'undefined') {
+    window.WinePrintList = WinePrintList;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WinePrintList;
+}
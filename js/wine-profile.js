@@ -0,0 +1,271 @@
+/**
+ * Wine Profile
+ * Tasting profile of a wine for the comparison page and the Wine Lab charts.
+ * Values come from the optional `tasting_profile` in data/wines.json (see WineSchema);
+ * whatever is missing is estimated from the wine type, description and alcohol,
+ * and flagged `inferred` so the pages can say so.
+ *
+ * Example row:
+ *   "tasting_profile": { "body": 5, "acidity": 4, "tannin": 5, "sweetness": 1, "alcohol": 4,
+ *                        "aromas": ["redFruit", "earth", "spice"], "drinking_window": { "from": 2025, "to": 2040 } }
+ */
+
+const WineProfile = {
+    // Labels of the 1-5 levels
+    LEVELS: {
+        body: ['Light', 'Light-Medium', 'Medium', 'Medium-Full', 'Full'],
+        acidity: ['Low', 'Medium-Low', 'Medium', 'Medium-High', 'High'],
+        tannin: ['None', 'Soft', 'Medium', 'Firm', 'Grippy'],
+        sweetness: ['Bone Dry', 'Dry', 'Off-Dry', 'Medium-Sweet', 'Sweet'],
+        alcohol: ['Low', 'Medium-Low', 'Medium', 'Medium-High', 'High']
+    },
+
+    AROMA_LABELS: {
+        redFruit: 'Red Fruit',
+        blackFruit: 'Black Fruit',
+        citrus: 'Citrus',
+        stoneFruit: 'Stone Fruit',
+        tropical: 'Tropical Fruit',
+        floral: 'Floral',
+        herbal: 'Herbal',
+        spice: 'Spice',
+        vanilla: 'Vanilla',
+        earth: 'Earth',
+        mineral: 'Mineral',
+        coffee: 'Coffee',
+        pastry: 'Bread & Pastry',
+        honey: 'Honey'
+    },
+
+    // Typical aroma families when the profile has none
+    FAMILY_AROMAS: {
+        'ROSSO': ['redFruit', 'blackFruit', 'spice'],
+        'BIANCO': ['citrus', 'stoneFruit', 'floral'],
+        'ROSATO': ['redFruit', 'floral', 'citrus'],
+        'ARANCIONE': ['stoneFruit', 'herbal', 'spice'],
+        'BOLLICINE': ['citrus', 'pastry', 'floral'],
+        'NON ALCOLICO': ['citrus', 'floral']
+    },
+
+    /**
+     * Full profile of a wine. Every entry is { value, label, inferred }:
+     * body, acidity, tannin, sweetness, alcohol (value 1-5), aromas (value: aroma keys,
+     * most prominent first), window (value: { from, to } or null), style and drinkability (labels).
+     */
+    resolve(wine) {
+        const data = (wine && typeof wine.tasting_profile === 'object' && wine.tasting_profile) || {};
+        const profile = { hasData: Object.keys(data).length > 0 };
+
+        const estimates = {
+            body: () => this.inferBody(wine),
+            acidity: () => this.inferAcidity(wine),
+            tannin: () => this.inferTannin(wine),
+            sweetness: () => this.inferSweetness(wine),
+            alcohol: () => this.inferAlcohol(wine)
+        };
+        Object.keys(this.LEVELS).forEach(key => {
+            const known = Number.isInteger(data[key]);
+            const value = known ? data[key] : estimates[key]();
+            profile[key] = { value, label: this.LEVELS[key][value - 1], inferred: !known };
+        });
+        // The percentage on the label is data: the alcohol level read from it is not an estimate
+        const percent = this.alcoholPercent(wine);
+        if (percent !== null) {
+            profile.alcohol.label += ` (${percent}%)`;
+            profile.alcohol.inferred = false;
+        }
+
+        const aromas = Array.isArray(data.aromas) && data.aromas.length ? data.aromas : null;
+        const aromaKeys = aromas || this.inferAromas(wine);
+        profile.aromas = {
+            value: aromaKeys,
+            label: aromaKeys.map(key => this.AROMA_LABELS[key] || key).join(', '),
+            inferred: !aromas
+        };
+
+        const drinkingWindow = data.drinking_window && (data.drinking_window.from || data.drinking_window.to) ? data.drinking_window : null;
+        profile.window = {
+            value: drinkingWindow,
+            label: drinkingWindow ? this.formatWindow(drinkingWindow) : 'N/A',
+            inferred: !drinkingWindow
+        };
+
+        profile.style = {
+            label: this.getStyle(wine, profile),
+            inferred: profile.body.inferred || profile.acidity.inferred
+        };
+        profile.drinkability = {
+            label: drinkingWindow ? this.getDrinkability(drinkingWindow) : this.inferDrinkability(wine),
+            inferred: !drinkingWindow
+        };
+
+        return profile;
+    },
+
+    formatWindow(range) {
+        if (range.from && range.to) return `${range.from}–${range.to}`;
+        return range.from ? `From ${range.from}` : `Until ${range.to}`;
+    },
+
+    getDrinkability(range, year = new Date().getFullYear()) {
+        if (range.from && year < range.from) return `Hold until ${range.from}`;
+        if (range.to && year > range.to) return 'Drink Soon';
+        return range.to ? `Drink Now – ${range.to}` : 'Drink Now';
+    },
+
+    getStyle(wine, profile) {
+        if (profile.body.inferred || profile.acidity.inferred) {
+            return this.inferStyle(wine);
+        }
+        const { body, acidity, tannin, sweetness } = profile;
+        if (sweetness.value >= 4) return 'Sweet';
+        if (body.value <= 2 && acidity.value >= 4) return 'Fresh';
+        if (body.value >= 4 && tannin.value >= 4) return 'Structured';
+        if (body.value >= 4) return 'Bold';
+        if (acidity.value >= 3) return 'Elegant';
+        return 'Balanced';
+    },
+
+    getFamily(wine) {
+        return wine.family || (typeof WineCatalog !== 'undefined' ? WineCatalog.getFamily(wine) : null);
+    },
+
+    describe(wine) {
+        return `${wine.wine_type || ''} ${wine.wine_description || ''}`.toLowerCase();
+    },
+
+    alcoholPercent(wine) {
+        const percent = parseFloat(String(wine.alcohol || '').replace('%', ''));
+        return isNaN(percent) ? null : percent;
+    },
+
+    // Estimates below come from the keyword rules the comparison page used before the profiles
+
+    inferBody(wine) {
+        const family = this.getFamily(wine);
+        const combined = this.describe(wine);
+
+        if (combined.includes('full body') || combined.includes('fuller body') || combined.includes('bold') || combined.includes('robust')) {
+            return 5;
+        }
+        if (combined.includes('medium body') || combined.includes('medium-bodied')) {
+            return 3;
+        }
+        if (family === 'ROSSO' && !combined.includes('light')) {
+            return 4;
+        }
+        if (family === 'BIANCO' || family === 'ROSATO' || family === 'BOLLICINE') {
+            return combined.includes('rich') || combined.includes('oak') ? 3 : 2;
+        }
+        return 3;
+    },
+
+    inferAcidity(wine) {
+        const family = this.getFamily(wine);
+        const combined = this.describe(wine);
+
+        if (combined.includes('bright acidity') || combined.includes('lively acidity') || combined.includes('crisp') || combined.includes('fresh')) {
+            return 5;
+        }
+        if (combined.includes('soft acidity') || combined.includes('low acidity') || combined.includes('round')) {
+            return 1;
+        }
+        if (family === 'BIANCO' || family === 'BOLLICINE') {
+            return 4;
+        }
+        return 3;
+    },
+
+    inferTannin(wine) {
+        const family = this.getFamily(wine);
+        const combined = this.describe(wine);
+
+        if (family === 'ARANCIONE') return 2;
+        if (family !== 'ROSSO') return 1;
+        if (combined.includes('soft') || combined.includes('smooth') || combined.includes('light')) return 2;
+        if (combined.includes('full body') || combined.includes('bold') || combined.includes('structured') || combined.includes('tannic')) return 4;
+        return 3;
+    },
+
+    inferSweetness(wine) {
+        const combined = `${this.describe(wine)} ${wine.subcategory || ''} ${wine.wine_name || ''}`.toLowerCase();
+
+        if (['dolce', 'sweet', 'moscato', 'passito', 'amabile', 'demi-sec'].some(word => combined.includes(word))) {
+            return 4;
+        }
+        if (['brut nature', 'pas dos', 'dosaggio zero', 'dosage zero', 'extra brut'].some(word => combined.includes(word))) {
+            return 1;
+        }
+        return 2;
+    },
+
+    inferAlcohol(wine) {
+        const percent = this.alcoholPercent(wine);
+        if (percent !== null) {
+            if (percent < 11) return 1;
+            if (percent < 12.5) return 2;
+            if (percent < 13.5) return 3;
+            if (percent < 14.5) return 4;
+            return 5;
+        }
+        const byFamily = { 'ROSSO': 4, 'BOLLICINE': 2, 'NON ALCOLICO': 1 };
+        return byFamily[this.getFamily(wine)] || 3;
+    },
+
+    inferAromas(wine) {
+        const aromas = [...(this.FAMILY_AROMAS[this.getFamily(wine)] || this.FAMILY_AROMAS.ROSSO)];
+        const aging = String(wine.aging || '').toLowerCase();
+        if (['oak', 'barrique', 'legno', 'botti', 'tonneau'].some(word => aging.includes(word))) {
+            aromas.push('vanilla');
+        }
+        return aromas;
+    },
+
+    inferStyle(wine) {
+        const family = this.getFamily(wine);
+        const combined = `${this.describe(wine)} ${(wine.category || '').toLowerCase()}`;
+
+        if (combined.includes('fresh') || combined.includes('crisp') || combined.includes('light')) {
+            return 'Fresh';
+        }
+        if (combined.includes('elegant') || combined.includes('refined') || combined.includes('delicate')) {
+            return 'Elegant';
+        }
+        if (combined.includes('structured') || combined.includes('bold') || combined.includes('powerful') || combined.includes('full body')) {
+            return 'Structured';
+        }
+        if (combined.includes('rich') || combined.includes('intense')) {
+            return 'Bold';
+        }
+        if (family === 'BOLLICINE') return 'Elegant';
+        if (family === 'ROSSO') return 'Structured';
+        if (family === 'BIANCO') return 'Fresh';
+        return 'Balanced';
+    },
+
+    inferDrinkability(wine) {
+        const family = this.getFamily(wine);
+        const combined = this.describe(wine);
+
+        if (combined.includes('young') || combined.includes('fresh') || family === 'BOLLICINE' || family === 'BIANCO') {
+            return 'Drink Now';
+        }
+        if (combined.includes('age') || combined.includes('vintage') || combined.includes('cellar')) {
+            return 'Age-Worthy';
+        }
+        if (family === 'ROSSO' && (combined.includes('reserve') || combined.includes('riserva'))) {
+            return 'Can Age';
+        }
+        return 'Ready to Drink';
+    }
+};
+
+// Make WineProfile available globally
+if (typeof window !== 'undefined') {
+    window.WineProfile = WineProfile;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineProfile;
+}
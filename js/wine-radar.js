@@ -0,0 +1,93 @@
+/**
+ * Wine Radar
+ * Geometry of the structure radar drawn by the Wine Lab on the details page and overlaid on
+ * the comparison page. The comparison page uses the six METRICS; Wine Lab cards can use any
+ * axes (see WineLabAxes), three or more, spread evenly clockwise from the top.
+ * Values run 1-10 on a 400x300 SVG viewBox.
+ */
+
+const WineRadar = {
+    METRICS: ['body', 'tannins', 'alcohol', 'persistence', 'acidity', 'complexity'],
+    LABELS: {
+        body: 'Body',
+        tannins: 'Tannins',
+        alcohol: 'Alcohol',
+        persistence: 'Persistence',
+        acidity: 'Acidity',
+        complexity: 'Complexity',
+        sweetness: 'Sweetness',
+        mousse: 'Mousse'
+    },
+    CENTER_X: 200,
+    CENTER_Y: 150,
+    RADIUS: 80,
+    MAX_VALUE: 10,
+
+    // Estimate for axes the tasting profile has nothing about
+    DEFAULT_VALUE: 6,
+
+    /**
+     * Position of a value on the axis `index` of `count` (0 = top, clockwise). `frame`
+     * ({ x, y, radius }) places the radar elsewhere than the SVG viewBox, e.g. on a PDF page.
+     */
+    point(index, value, count = this.METRICS.length, frame = { x: this.CENTER_X, y: this.CENTER_Y, radius: this.RADIUS }) {
+        const angle = index * (Math.PI * 2) / count - Math.PI / 2;
+        const r = (value / this.MAX_VALUE) * frame.radius;
+        return {
+            x: frame.x + r * Math.cos(angle),
+            y: frame.y + r * Math.sin(angle)
+        };
+    },
+
+    /**
+     * Points for { body, tannins, ... } in the order of `metrics`
+     */
+    points(values, metrics = this.METRICS) {
+        return metrics.map((metric, i) => this.point(i, values[metric], metrics.length));
+    },
+
+    /**
+     * Label spot just outside the axis end: { x, y, anchor } for SVG text
+     */
+    labelPosition(index, count) {
+        const end = this.point(index, this.MAX_VALUE * 1.15, count);
+        const dx = end.x - this.CENTER_X;
+        return {
+            x: Math.round(end.x),
+            y: Math.round(end.y + 5),
+            anchor: Math.abs(dx) < 5 ? 'middle' : (dx > 0 ? 'start' : 'end')
+        };
+    },
+
+    toAttribute(points) {
+        return points.map(p => `${p.x},${p.y}`).join(' ');
+    },
+
+    /**
+     * Radar values from a WineProfile.resolve() result: the 1-5 levels doubled to the
+     * 1-10 scale. Axes the profile has no level for (persistence, complexity, mousse, staff
+     * axes) get DEFAULT_VALUE and are always estimated.
+     * Returns { values, inferred: [metrics] }.
+     */
+    fromProfile(profile, metrics = this.METRICS) {
+        const levels = { body: profile.body, tannins: profile.tannin, alcohol: profile.alcohol, acidity: profile.acidity, sweetness: profile.sweetness };
+        const values = {};
+        const inferred = [];
+        metrics.forEach(metric => {
+            const level = levels[metric];
+            values[metric] = level ? level.value * 2 : this.DEFAULT_VALUE;
+            if (!level || level.inferred) inferred.push(metric);
+        });
+        return { values, inferred };
+    }
+};
+
+// Make WineRadar available globally
+if (typeof window !== 'undefined') {
+    window.WineRadar = WineRadar;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineRadar;
+}
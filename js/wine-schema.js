@@ -0,0 +1,263 @@
+/**
+ * Wine Catalog Schema
+ * Describes the expected shape of the rows in data/wines.json and validates them.
+ * Rows that fail validation are returned in a report (with wine_number and field)
+ * so they can be fixed in the menu export instead of disappearing from the list.
+ */
+
+const WineSchema = {
+    // Region values accepted in the `region` field (as written by the menu export)
+    REGIONS: [
+        'ABRUZZO', 'BASILICATA', 'CALABRIA', 'CAMPANIA', 'EMILIA-ROMAGNA',
+        'FRIULI-VENEZIA GIULIA', 'FRIULI VENEZIA GIULIA', 'FRIULI',
+        'LAZIO', 'LIGURIA', 'LOMBARDIA', 'LE MARCHE', 'MARCHE', 'MOLISE',
+        'PIEMONTE', 'PUGLIA', 'SARDEGNA', 'SICILIA', 'TOSCANA', 'TOSCANA (BOLGHERI)',
+        'TRENTINO ALTO-ADIGE', 'TRENTINO-ALTO ADIGE', 'UMBRIA', 'VALLE D\'AOSTA', 'VENETO',
+        'LUGANA DOC (VENETO)', 'TARANTO IGT (PUGLIA)', 'MATERA DOC (BASILICATA)'
+    ],
+
+    // Values accepted in the `wine_type` field
+    WINE_TYPES: [
+        'VINI ROSSI', 'ROSSO', 'ROSSO (AMARONE)', 'ROSSO (SUPERIORE)', 'ROSSO (SUPERTUSCAN)',
+        'ROSSO (RIPASSO)', 'AMARONE', 'BAROLO DOCG',
+        'VINI BIANCHI', 'BIANCO', 'BIANCO (SECCO)',
+        'VINI ROSATI', 'ROSATO',
+        'VINI ARANCIONI', 'ARANCIONE',
+        'BOLLICINE', 'BOLLICINE (METODO CLASSICO)', 'BOLLICINE (METODO MARTINOTTI/ITALIANO)',
+        'BOLLICINE (METODO ANCESTRALE)', 'BOLLICINE BIANCO', 'BOLLICINE ROSATO', 'BOLLICINE ROSSO',
+        'BOLLICINE (ROSSO)', 'BOLLICINE DOLCE', 'BOLLICINE ROSSO DOLCE',
+        'VINI NON ALCOLICI',
+        'COCKTAIL', 'SANGRIA'
+    ],
+
+    // Values accepted in the `category` field (menu section headings)
+    CATEGORIES: [
+        'VINI ROSSI', 'VINI BIANCHI E ROSATI', 'VINI BIANCHI - VENETO', 'VINI BIANCHI - PUGLIA',
+        'METODO CLASSICO/TRADITIONAL METHOD', 'METODO MARTINOTTI/ITALIANO', 'METODO ANCESTRALE/ANCESTRAL METHOD',
+        'BOLLICINE', 'BARBARESCO DOCG', 'MONTALCINO', 'CHIANTI', 'SPRITZ BAR & SANGRIA'
+    ],
+
+    // Spritz bar rows share the export with the wines but are not part of the wine list
+    EXCLUDED_WINE_TYPES: ['COCKTAIL', 'SANGRIA'],
+
+    // Header cells of the menu spreadsheet that sometimes end up as rows
+    PLACEHOLDER_VALUES: ['WINE NAME', 'WINE PRICE', 'VINTAGE', 'UNKNOWN PRODUCER'],
+
+    // Price cells hold a plain amount ("49", "12.9") or a status such as "SOLD OUT"
+    PRICE_PATTERN: /^\d+(\.\d{1,2})?$/,
+    PRICE_STATUSES: ['SOLD OUT'],
+
+    // Split cells hold "glass/bottle" ("11.5/46") or `true` when the price is not printed
+    SPLIT_PRICE_PATTERN: /^\d+(\.\d{1,2})?\/\d+(\.\d{1,2})?$/,
+
+    // Optional `tasting_profile` written by the staff (see js/wine-profile.js):
+    // { body: 1-5, acidity, tannin, sweetness, alcohol, aromas: ['redFruit', ...], drinking_window: { from, to } }
+    PROFILE_LEVELS: ['body', 'acidity', 'tannin', 'sweetness', 'alcohol'],
+    AROMA_FAMILIES: [
+        'redFruit', 'blackFruit', 'citrus', 'stoneFruit', 'tropical', 'floral', 'herbal',
+        'spice', 'vanilla', 'earth', 'mineral', 'coffee', 'pastry', 'honey'
+    ],
+
+    fields: {
+        wine_number: { required: true, type: 'string', pattern: /^\d+$/ },
+        wine_name: { required: true, type: 'string' },
+        wine_producer: { required: true, type: 'string' },
+        wine_vintage: { type: 'string' },
+        wine_price: { type: 'price' },
+        wine_price_bottle: { type: 'price' },
+        wine_price_glass: { type: 'price' },
+        wine_price_split: { type: 'split' },
+        wine_description: { type: 'string' },
+        region: { required: true, type: 'string', allowed: 'REGIONS' },
+        wine_type: { required: true, type: 'string', allowed: 'WINE_TYPES' },
+        category: { type: 'string', allowed: 'CATEGORIES' },
+        subcategory: { type: 'string' },
+        organic: { type: 'boolean' },
+        alcohol: { type: 'string' },
+        aging: { type: 'string' },
+        varietals: { type: 'string' },
+        soil: { type: 'string' },
+        elevation: { type: 'string' },
+        bottle_image_url: { type: 'string' },
+        tasting_profile: { type: 'profile' }
+    },
+
+    isEmpty(value) {
+        return value === null || value === undefined || (typeof value === 'string' && value.trim() === '');
+    },
+
+    isExcluded(wine) {
+        const type = (wine && typeof wine.wine_type === 'string') ? wine.wine_type.toUpperCase() : '';
+        return this.EXCLUDED_WINE_TYPES.some(excluded => type.includes(excluded));
+    },
+
+    // Returns an error message for a single field value, or null when the value is valid
+    checkField(field, rule, value) {
+        if (this.isEmpty(value)) {
+            return rule.required ? 'is required' : null;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') return `must be text, got ${typeof value}`;
+                break;
+            case 'boolean':
+                if (typeof value !== 'boolean') return `must be true or false, got "${value}"`;
+                break;
+            case 'price': {
+                const price = String(value).trim().toUpperCase();
+                if (!this.PRICE_PATTERN.test(price) && !this.PRICE_STATUSES.includes(price)) {
+                    return `"${value}" is not a price (expected a number like 49 or 12.9, or SOLD OUT)`;
+                }
+                break;
+            }
+            case 'split':
+                if (value !== true && !this.SPLIT_PRICE_PATTERN.test(String(value).trim())) {
+                    return `"${value}" is not a split price (expected glass/bottle like 11.5/46)`;
+                }
+                break;
+            case 'profile':
+                return this.checkProfile(value);
+        }
+
+        if (typeof value === 'string' && this.PLACEHOLDER_VALUES.includes(value.trim().toUpperCase())) {
+            return `contains the spreadsheet header "${value}"`;
+        }
+        if (rule.pattern && !rule.pattern.test(String(value))) {
+            return `"${value}" has an invalid format`;
+        }
+        if (rule.allowed && !this[rule.allowed].includes(String(value).trim().toUpperCase())) {
+            return `"${value}" is not an allowed value`;
+        }
+
+        return null;
+    },
+
+    // Returns an error message for a tasting_profile, or null when it is valid
+    checkProfile(profile) {
+        if (typeof profile !== 'object' || Array.isArray(profile)) {
+            return 'must be an object';
+        }
+
+        for (const level of this.PROFILE_LEVELS) {
+            const value = profile[level];
+            if (value !== undefined && value !== null && !(Number.isInteger(value) && value >= 1 && value <= 5)) {
+                return `${level} must be a whole number from 1 to 5, got "${value}"`;
+            }
+        }
+
+        const unknownKey = Object.keys(profile).find(key => !this.PROFILE_LEVELS.includes(key) && key !== 'aromas' && key !== 'drinking_window');
+        if (unknownKey) {
+            return `has an unknown key "${unknownKey}"`;
+        }
+
+        if (profile.aromas !== undefined) {
+            if (!Array.isArray(profile.aromas)) return 'aromas must be a list';
+            const unknown = profile.aromas.find(aroma => !this.AROMA_FAMILIES.includes(aroma));
+            if (unknown !== undefined) return `"${unknown}" is not an aroma family`;
+        }
+
+        const drinkingWindow = profile.drinking_window;
+        if (drinkingWindow !== undefined && drinkingWindow !== null) {
+            const isYear = value => value === undefined || value === null || (Number.isInteger(value) && value >= 1900 && value <= 2100);
+            if (typeof drinkingWindow !== 'object' || !isYear(drinkingWindow.from) || !isYear(drinkingWindow.to)) {
+                return 'drinking_window must be { from, to } with years';
+            }
+            if (drinkingWindow.from && drinkingWindow.to && drinkingWindow.from > drinkingWindow.to) {
+                return `drinking_window starts after it ends (${drinkingWindow.from}-${drinkingWindow.to})`;
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Validates one row against the schema.
+     * Returns an array of { field, message } (empty when the row is valid)
+     */
+    validateWine(wine) {
+        if (!wine || typeof wine !== 'object' || Array.isArray(wine)) {
+            return [{ field: '(row)', message: 'is not an object' }];
+        }
+
+        const errors = [];
+        Object.entries(this.fields).forEach(([field, rule]) => {
+            const message = this.checkField(field, rule, wine[field]);
+            if (message) {
+                errors.push({ field, message });
+            }
+        });
+
+        // A wine needs at least one price to be listed
+        const hasPrice = ['wine_price', 'wine_price_bottle', 'wine_price_glass'].some(field => {
+            const value = wine[field];
+            return !this.isEmpty(value) && String(value).trim() !== '0';
+        });
+        if (!hasPrice) {
+            errors.push({ field: 'wine_price', message: 'no bottle or glass price' });
+        }
+
+        return errors;
+    },
+
+    /**
+     * Validates the whole wines.json payload.
+     * Returns { wines, report } where `wines` only holds the valid rows and `report` lists
+     * the rejected rows (with their errors) and the rows excluded on purpose (spritz bar).
+     */
+    validateCatalog(data) {
+        if (!data || !Array.isArray(data.wines)) {
+            throw new Error('wines.json must contain a "wines" array');
+        }
+
+        const wines = [];
+        const rejected = [];
+        const excluded = [];
+        const seenNumbers = new Map();
+
+        data.wines.forEach((wine, index) => {
+            const wineNumber = wine && wine.wine_number !== undefined ? wine.wine_number : null;
+            const wineName = wine && wine.wine_name ? wine.wine_name : '';
+
+            if (wine && this.isExcluded(wine)) {
+                excluded.push({ index, wine_number: wineNumber, wine_name: wineName, reason: `${wine.wine_type} is not part of the wine list` });
+                return;
+            }
+
+            const errors = this.validateWine(wine);
+
+            if (wineNumber !== null && seenNumbers.has(String(wineNumber))) {
+                errors.push({ field: 'wine_number', message: `duplicates row ${seenNumbers.get(String(wineNumber)) + 1}` });
+            }
+
+            if (errors.length > 0) {
+                rejected.push({ index, wine_number: wineNumber, wine_name: wineName, errors });
+                return;
+            }
+
+            seenNumbers.set(String(wineNumber), index);
+            wines.push(wine);
+        });
+
+        return {
+            wines,
+            report: {
+                total: data.wines.length,
+                accepted: wines.length,
+                rejected,
+                excluded,
+                checkedAt: new Date().toISOString()
+            }
+        };
+    }
+};
+
+// Make WineSchema available globally
+if (typeof window !== 'undefined') {
+    window.WineSchema = WineSchema;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineSchema;
+}
@@ -0,0 +1,452 @@
+/**
+ * Wine Search
+ * Search index over the catalog, built once when the wines are loaded.
+ * Matching is accent-insensitive ("Sudtirol" finds "Südtirol"), token based,
+ * tolerates typos ("Nebiolo" finds "Nebbiolo") and ranks name matches above description matches.
+ *
+ * Every word of the query must match one of the fields of a wine, exactly, as the start of a
+ * word or within the edit distance allowed for its length.
+ *
+ * Query syntax (for floor staff, plain words keep working for guests):
+ *   producer:gaja region:piemonte     field qualifiers (see QUALIFIERS)
+ *   varietal:"nero d'avola"           quoted phrases, with or without a qualifier
+ *   price:<150  vintage:2015..2019    numeric ranges: <, <=, >, >=, a..b, a-b or a single value
+ *   organic  is:glass  is:nv          flags
+ *   -barrique  -producer:gaja         negation
+ */
+
+const WineSearch = {
+    // Field weights: a hit in the name counts more than one in the description
+    FIELDS: {
+        wine_name: { weight: 5, value: wine => wine.wine_name },
+        wine_producer: { weight: 4, value: wine => wine.wine_producer },
+        varietals: { weight: 3, value: wine => wine.varietals },
+        appellation: { weight: 2, value: wine => (wine.appellation ? wine.appellation.name : null) },
+        region: { weight: 2, value: wine => wine.region },
+        wine_description: { weight: 1, value: wine => wine.wine_description }
+    },
+
+    // Match quality by kind of match
+    QUALITY: {
+        exact: 1,
+        prefix: 0.75,
+        typo: 0.6,
+        typoPrefix: 0.5
+    },
+
+    QUALIFIERS: {
+        name: { kind: 'text', field: 'wine_name', label: 'Wine name' },
+        producer: { kind: 'text', field: 'wine_producer', label: 'Producer' },
+        varietal: { kind: 'text', field: 'varietals', label: 'Grape varietal' },
+        region: { kind: 'text', field: 'region', label: 'Region' },
+        appellation: { kind: 'text', field: 'appellation', label: 'Appellation' },
+        type: { kind: 'family', label: 'Red, white, rosé, orange or sparkling' },
+        tier: { kind: 'tier', label: 'DOCG, DOC, IGT or VdT' },
+        price: { kind: 'range', label: 'Bottle price, e.g. <150 or 50..100', value: wine => (wine.prices ? wine.prices.bottle ?? wine.prices.glass : null) },
+        glass: { kind: 'range', label: 'Price by the glass, e.g. <20', value: wine => (wine.prices ? wine.prices.glass : null) },
+        vintage: { kind: 'range', label: 'Vintage, e.g. 2015..2019', value: wine => wine.vintageYear },
+        is: { kind: 'flag', label: 'organic, glass, nv or soldout' }
+    },
+    QUALIFIER_ALIASES: {
+        wine: 'name',
+        grape: 'varietal',
+        varietals: 'varietal',
+        color: 'type',
+        classification: 'tier',
+        year: 'vintage'
+    },
+
+    FLAGS: {
+        organic: wine => wine.isOrganic === true,
+        glass: wine => Boolean(wine.prices && wine.prices.glass !== null),
+        nv: wine => wine.isNV === true,
+        soldout: wine => Boolean(wine.prices && wine.prices.soldOut)
+    },
+    // Flags that also work as a plain word
+    BARE_FLAGS: ['organic'],
+
+    // type: values, English and Italian
+    FAMILY_NAMES: {
+        red: 'ROSSO', rosso: 'ROSSO', rossi: 'ROSSO',
+        white: 'BIANCO', bianco: 'BIANCO', bianchi: 'BIANCO',
+        rose: 'ROSATO', rosato: 'ROSATO', rosati: 'ROSATO',
+        orange: 'ARANCIONE', arancione: 'ARANCIONE',
+        sparkling: 'BOLLICINE', bollicine: 'BOLLICINE', bubbles: 'BOLLICINE',
+        'non alcolico': 'NON ALCOLICO', 'alcohol free': 'NON ALCOLICO', 'alcohol-free': 'NON ALCOLICO'
+    },
+
+    // Region names are normalized by the caller (WineListApp.normalizeRegionName)
+    normalizeRegion: region => WineSearch.fold(region).trim(),
+
+    index: null,
+    expansions: new Map(),
+
+    // Lowercase, no accents, straight apostrophes
+    fold(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[’‘`´]/g, '\'')
+            .toLowerCase();
+    },
+
+    /**
+     * "Montepulciano d'Abruzzo" -> ['montepulciano', 'dabruzzo', 'abruzzo']
+     * The words around an apostrophe are indexed on their own too (withParts),
+     * so "dAbruzzo" and "Abruzzo" both find it.
+     */
+    tokenize(text, withParts = true) {
+        const tokens = [];
+        this.fold(text).split(/[^a-z0-9']+/).forEach(word => {
+            const parts = word.split('\'').filter(Boolean);
+            const joined = parts.join('');
+            if (joined.length >= 2) tokens.push(joined);
+            if (withParts && parts.length > 1) {
+                parts.forEach(part => { if (part.length >= 2) tokens.push(part); });
+            }
+        });
+        return [...new Set(tokens)];
+    },
+
+    // Typos allowed for a query word: none for short words and numbers
+    allowedEdits(term) {
+        if (/^\d+$/.test(term) || term.length < 4) return 0;
+        return term.length < 8 ? 1 : 2;
+    },
+
+    /**
+     * Optimal string alignment distance (a swap of two letters counts as one edit).
+     * Returns max + 1 as soon as the distance is known to be larger than max.
+     */
+    editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let previous2 = null;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                if (previous2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, previous2[j - 2] + 1);
+                }
+                current.push(value);
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return max + 1;
+            previous2 = previous;
+            previous = current;
+        }
+        return previous[b.length];
+    },
+
+    // "nebiol" is the start of "nebbiolo" with one letter missing
+    isTypoPrefix(term, token, maxEdits) {
+        for (let length = term.length; length <= term.length + maxEdits && length < token.length; length++) {
+            if (this.editDistance(term, token.slice(0, length), maxEdits) <= maxEdits) return true;
+        }
+        return false;
+    },
+
+    /**
+     * Builds the index: token -> [{ wine (position in wines), field }]
+     */
+    build(wines) {
+        const postings = new Map();
+
+        wines.forEach((wine, position) => {
+            Object.entries(this.FIELDS).forEach(([field, definition]) => {
+                this.tokenize(definition.value(wine)).forEach(token => {
+                    if (!postings.has(token)) postings.set(token, []);
+                    postings.get(token).push({ wine: position, field });
+                });
+            });
+        });
+
+        this.index = { wines, postings };
+        this.expansions = new Map();
+        return this.index;
+    },
+
+    getIndex(wines) {
+        if (!this.index || this.index.wines !== wines) {
+            this.build(wines);
+        }
+        return this.index;
+    },
+
+    /**
+     * How well a query word matches a token: a QUALITY value, or 0
+     */
+    matchQuality(term, token, maxEdits = this.allowedEdits(term)) {
+        if (token === term) return this.QUALITY.exact;
+        if (token.startsWith(term)) return this.QUALITY.prefix;
+        if (maxEdits > 0) {
+            const distance = this.editDistance(term, token, maxEdits);
+            if (distance <= maxEdits) return this.QUALITY.typo - 0.1 * (distance - 1);
+            // The guest is still typing a word with a typo in it ("nebiol")
+            if (this.isTypoPrefix(term, token, maxEdits)) return this.QUALITY.typoPrefix;
+        }
+        return 0;
+    },
+
+    /**
+     * Index tokens matching a query word: Map(token -> quality)
+     */
+    expand(term) {
+        if (this.expansions.has(term)) return this.expansions.get(term);
+
+        const matches = new Map();
+        const maxEdits = this.allowedEdits(term);
+
+        this.index.postings.forEach((_, token) => {
+            const quality = this.matchQuality(term, token, maxEdits);
+            if (quality > 0) matches.set(token, quality);
+        });
+
+        // The cache only helps while a guest is typing; keep it small
+        if (this.expansions.size > 500) this.expansions.clear();
+        this.expansions.set(term, matches);
+        return matches;
+    },
+
+    /**
+     * Ranked matches of plain words: [{ wine, score, fields }] where fields is the Set of
+     * matched field names. Ties keep the wine list order.
+     */
+    rank(text, wines) {
+        const terms = this.tokenize(text, false);
+        if (!terms.length || !wines || !wines.length) return [];
+        const index = this.getIndex(wines);
+
+        let results = null;
+        for (const term of terms) {
+            // Best hit of this word for every wine
+            const hits = new Map();
+            this.expand(term).forEach((quality, token) => {
+                index.postings.get(token).forEach(({ wine, field }) => {
+                    const score = quality * this.FIELDS[field].weight;
+                    const best = hits.get(wine);
+                    if (!best || score > best.score) {
+                        hits.set(wine, { score, field });
+                    }
+                });
+            });
+
+            // Every word has to match
+            const next = new Map();
+            hits.forEach((hit, wine) => {
+                if (results && !results.has(wine)) return;
+                const previous = results ? results.get(wine) : { score: 0, fields: new Set() };
+                next.set(wine, {
+                    score: previous.score + hit.score,
+                    fields: new Set([...previous.fields, hit.field])
+                });
+            });
+            results = next;
+            if (!results.size) return [];
+        }
+
+        return Array.from(results.entries())
+            .sort((a, b) => b[1].score - a[1].score || a[0] - b[0])
+            .map(([position, result]) => ({ wine: index.wines[position], score: result.score, fields: result.fields }));
+    },
+
+    getQualifier(name) {
+        const key = String(name || '').toLowerCase();
+        const resolved = this.QUALIFIERS[key] ? key : this.QUALIFIER_ALIASES[key];
+        return resolved ? { key: resolved, ...this.QUALIFIERS[resolved] } : null;
+    },
+
+    /**
+     * Splits a query into terms: { negate, qualifier (key or null), value, quoted }.
+     * Plain words are joined in text, which ranks the results.
+     * An unfinished term ("producer:" or an open quote) is kept with its value as typed.
+     */
+    parseQuery(query) {
+        const parsed = { text: '', terms: [] };
+        const words = [];
+        const chunks = String(query || '').match(/-?(?:[a-zA-Z]+:)?(?:"[^"]*"?|[^\s"]+)|-?[a-zA-Z]+:/g) || [];
+
+        chunks.forEach(chunk => {
+            let rest = chunk;
+            const negate = rest.length > 1 && rest.startsWith('-');
+            if (negate) rest = rest.slice(1);
+
+            let qualifier = null;
+            const qualified = rest.match(/^([a-zA-Z]+):(.*)$/);
+            if (qualified && this.getQualifier(qualified[1])) {
+                qualifier = this.getQualifier(qualified[1]).key;
+                rest = qualified[2];
+            }
+
+            const quoted = rest.startsWith('"');
+            const value = rest.replace(/^"|"$/g, '').trim();
+            if (!value) return;
+
+            if (!qualifier && !quoted && this.BARE_FLAGS.includes(this.fold(value))) {
+                parsed.terms.push({ negate, qualifier: 'is', value: this.fold(value), quoted: false });
+            } else if (!qualifier && !quoted && !negate) {
+                words.push(value);
+            } else {
+                parsed.terms.push({ negate, qualifier, value, quoted });
+            }
+        });
+
+        parsed.text = words.join(' ');
+        return parsed;
+    },
+
+    // "<150", "<=150", ">50", "50..100", "2015-2019", "2015.." or "2015" -> { min, max }
+    parseRange(value) {
+        const text = String(value).replace(/\s+/g, '').replace(',', '.');
+        const number = part => (part === '' || isNaN(parseFloat(part)) ? null : parseFloat(part));
+
+        const comparison = text.match(/^(<=?|>=?)(.+)$/);
+        if (comparison) {
+            const limit = number(comparison[2]);
+            if (limit === null) return null;
+            const strict = comparison[1].length === 1 ? 0.01 : 0;
+            return comparison[1][0] === '<'
+                ? { min: null, max: limit - strict }
+                : { min: limit + strict, max: null };
+        }
+
+        const between = text.match(/^([\d.]*?)(?:\.\.|-)([\d.]*)$/);
+        if (between) {
+            const range = { min: number(between[1]), max: number(between[2]) };
+            return range.min === null && range.max === null ? null : range;
+        }
+
+        const exact = number(text);
+        return exact === null ? null : { min: exact, max: exact };
+    },
+
+    // Words in order, one space apart: "FRIULI-VENEZIA GIULIA" -> 'friuli venezia giulia'
+    phrase(text) {
+        return this.fold(text).split(/[^a-z0-9']+/).filter(Boolean).join(' ');
+    },
+
+    // Every word of value matches a word of the field (with the usual typo tolerance)
+    fieldMatches(wine, field, value, quoted) {
+        const fields = field ? [field] : Object.keys(this.FIELDS);
+        return fields.some(name => {
+            const text = this.FIELDS[name].value(wine);
+            if (!text) return false;
+            if (quoted) {
+                return this.phrase(text).includes(this.phrase(value));
+            }
+            const tokens = this.tokenize(text);
+            return this.tokenize(value, false).every(term => {
+                const matches = this.expand(term);
+                return tokens.some(token => matches.has(token));
+            });
+        });
+    },
+
+    // True when the wine satisfies the term (ignoring negation)
+    termMatches(wine, term) {
+        const qualifier = term.qualifier ? this.QUALIFIERS[term.qualifier] : null;
+        if (!qualifier) {
+            return this.fieldMatches(wine, null, term.value, term.quoted);
+        }
+
+        switch (qualifier.kind) {
+            case 'text':
+                if (term.qualifier === 'region' &&
+                    this.normalizeRegion(term.value) === this.normalizeRegion(wine.region)) {
+                    return true;
+                }
+                return this.fieldMatches(wine, qualifier.field, term.value, term.quoted);
+            case 'family': {
+                const name = this.fold(term.value).trim();
+                const family = this.FAMILY_NAMES[name] || WineCatalog.classifyFamily(name.toUpperCase());
+                return (wine.family || WineCatalog.getFamily(wine)) === family;
+            }
+            case 'tier': {
+                const tier = WineCatalog.TIER_ALIASES[term.value.toUpperCase()];
+                return Boolean(tier && wine.appellation && wine.appellation.tier === tier);
+            }
+            case 'range': {
+                const range = this.parseRange(term.value);
+                const value = qualifier.value(wine);
+                if (!range || value === null || value === undefined) return false;
+                return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+            }
+            case 'flag': {
+                const flag = this.FLAGS[this.fold(term.value)];
+                return Boolean(flag && flag(wine));
+            }
+            default:
+                return false;
+        }
+    },
+
+    /**
+     * Runs a query (plain words and/or syntax). Same result shape as rank();
+     * without plain words the results keep the wine list order.
+     */
+    search(query, wines) {
+        if (!wines || !wines.length) return [];
+        const parsed = this.parseQuery(query);
+        if (!parsed.text && !parsed.terms.length) return [];
+        this.getIndex(wines);
+
+        const candidates = parsed.text
+            ? this.rank(parsed.text, wines)
+            : wines.map(wine => ({ wine, score: 0, fields: new Set() }));
+
+        return candidates.filter(result => parsed.terms.every(term => {
+            const matches = this.termMatches(result.wine, term);
+            // Qualified text hits count as matched fields (used by autocomplete)
+            if (matches && !term.negate && term.qualifier && this.QUALIFIERS[term.qualifier].field) {
+                result.fields.add(this.QUALIFIERS[term.qualifier].field);
+            }
+            return matches !== term.negate;
+        }));
+    },
+
+    /**
+     * Values known for a qualifier, for autocomplete: [{ value, count }] by count
+     */
+    qualifierValues(key, wines) {
+        const qualifier = this.QUALIFIERS[key];
+        if (!qualifier) return [];
+        const counts = new Map();
+        const add = value => {
+            if (!value) return;
+            const folded = this.fold(value).trim();
+            const entry = counts.get(folded) || { value: String(value).trim(), count: 0 };
+            entry.count++;
+            counts.set(folded, entry);
+        };
+
+        wines.forEach(wine => {
+            if (key === 'varietal') {
+                new Set((wine.varietalList || []).map(varietal => varietal.name)).forEach(add);
+            } else if (qualifier.kind === 'text') {
+                add(this.FIELDS[qualifier.field].value(wine));
+            } else if (qualifier.kind === 'family') {
+                add(Object.keys(this.FAMILY_NAMES).find(name => this.FAMILY_NAMES[name] === wine.family && /^[a-z]+$/.test(name)));
+            } else if (qualifier.kind === 'tier') {
+                add(wine.appellation && wine.appellation.tier);
+            } else if (qualifier.kind === 'flag') {
+                Object.keys(this.FLAGS).forEach(flag => { if (this.FLAGS[flag](wine)) add(flag); });
+            }
+        });
+
+        return Array.from(counts.values()).sort((a, b) => b.count - a.count);
+    }
+};
+
+// Make WineSearch available globally
+if (typeof window !== 'undefined') {
+    window.WineSearch = WineSearch;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineSearch;
+}
@@ -0,0 +1,205 @@
+/**
+ * Wine Similar
+ * Alternatives to a wine (sold out, over budget, or just "something like this"), scored over
+ * the catalog on shared varietals, family, region, price band, organic flag and subcategory.
+ * Used by the details page ("Similar Wines") and by the comparison page to suggest what to
+ * compare against. Works on wines normalized by WineCatalog.
+ */
+
+const WineSimilar = {
+    // Points for each criterion; varietals are scaled by how much of the blend is shared
+    WEIGHTS: {
+        varietals: 40,
+        family: 20,
+        region: 15,
+        price: 15,
+        organic: 5,
+        subcategory: 5
+    },
+    // Same price band within 25% of the bottle (or glass) price, half the points within 50%
+    PRICE_BAND: 0.25,
+    MIN_SCORE: 25,
+
+    FAMILY_LABELS: {
+        'ROSSO': 'red',
+        'BIANCO': 'white',
+        'ROSATO': 'rosé',
+        'ARANCIONE': 'orange wine',
+        'BOLLICINE': 'sparkling',
+        'NON ALCOLICO': 'non-alcoholic'
+    },
+
+    // Menu sections that only repeat the family
+    GENERIC_SUBCATEGORIES: ['ROSSO', 'BIANCO', 'ROSE', 'ROSATO', 'ARANCIONE', 'BOLLICINE'],
+
+    /**
+     * Best matches for `wine`: [{ wine, score, reasons }], highest score first.
+     * One row per label: other bottlings and bottle sizes of a label (the viewed one included) are left out.
+     * Options: limit (default 6), exclude (wine numbers to leave out), includeSoldOut.
+     */
+    find(wine, wines, { limit = 6, exclude = [], includeSoldOut = false } = {}) {
+        if (!wine) return [];
+        const skip = new Set([String(wine.wine_number), ...exclude.map(String)]);
+        const seen = new Set([this.labelKey(wine)]);
+
+        return wines
+            .filter(candidate => !skip.has(String(candidate.wine_number)))
+            .filter(candidate => includeSoldOut || !this.pricesOf(candidate).soldOut)
+            .map(candidate => Object.assign({ wine: candidate }, this.score(wine, candidate)))
+            .filter(match => match.score >= this.MIN_SCORE)
+            .sort((a, b) => b.score - a.score)
+            .filter(match => {
+                const key = this.labelKey(match.wine);
+                if (seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            })
+            .slice(0, limit);
+    },
+
+    // Bottle sizes written into the name: "375ML", "375 ML", "1.5 LITER", "3 LITER"
+    SIZE_SUFFIX: /,?\s*\d+(?:\.\d+)?\s*(?:ML|LITERS?|LITRES?|L)\b/gi,
+
+    /**
+     * Same label whatever the bottle size: name, producer and vineyard, as WinePairings.isSameWine.
+     * The name is compared without size, accents, punctuation and the producer it sometimes repeats
+     * ("FRANCIACORTA, CA' DEL BOSCO EXTRA BRUT 750ML*" is "FRANCIACORTA EXTRA BRUT 375ML")
+     */
+    labelKey(wine) {
+        const plain = value => this.fold(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ').trim();
+        const producer = plain(wine.wine_producer);
+        const name = ` ${plain(String(wine.wine_name || '').replace(this.SIZE_SUFFIX, ''))} `;
+        const vineyard = String(wine.wine_vintage || '').match(/\bMGA:\s*([^(]+)/i);
+        return [producer ? name.replace(` ${producer} `, ' ').trim() : name.trim(), producer, plain(vineyard ? vineyard[1] : '')].join('|');
+    },
+
+    /**
+     * Score (0-100) of `candidate` as an alternative to `wine`, with the reasons behind it
+     */
+    score(wine, candidate) {
+        let score = 0;
+        const reasons = [];
+
+        const varietals = this.varietalOverlap(wine, candidate);
+        if (varietals.share > 0) {
+            score += this.WEIGHTS.varietals * varietals.share;
+            reasons.push(varietals.share >= 0.99
+                ? `Same ${varietals.names.length > 1 ? 'blend' : 'grape'}: ${varietals.names.join(', ')}`
+                : `Shares ${varietals.labels.join(', ')}`);
+        }
+
+        const family = this.familyOf(wine);
+        if (family === this.familyOf(candidate)) {
+            score += this.WEIGHTS.family;
+            reasons.push(`Also ${family === 'ARANCIONE' ? 'an' : 'a'} ${this.FAMILY_LABELS[family] || family.toLowerCase()}`);
+        }
+
+        if (wine.region && this.fold(wine.region) === this.fold(candidate.region)) {
+            score += this.WEIGHTS.region;
+            reasons.push(`Also from ${candidate.region}`);
+        }
+
+        const price = this.priceMatch(wine, candidate);
+        if (price) {
+            score += this.WEIGHTS.price * price.weight;
+            reasons.push(price.reason);
+        }
+
+        if (wine.isOrganic && candidate.isOrganic) {
+            score += this.WEIGHTS.organic;
+            reasons.push('Organic too');
+        }
+
+        const subcategory = this.fold(wine.subcategory);
+        if (subcategory && subcategory === this.fold(candidate.subcategory) && !this.GENERIC_SUBCATEGORIES.includes(subcategory.toUpperCase())) {
+            score += this.WEIGHTS.subcategory;
+            reasons.push(`Same style: ${candidate.subcategory}`);
+        }
+
+        return { score: Math.round(score), reasons };
+    },
+
+    /**
+     * Share of the blend the two wines have in common (0-1), from varietalList percentages.
+     * Grapes without a stated percentage split what is left of the blend evenly.
+     * `labels` carry the candidate's percentage ("Sangiovese (60%)").
+     */
+    varietalOverlap(wine, candidate) {
+        const a = this.blendShares(wine);
+        const b = this.blendShares(candidate);
+        let share = 0;
+        const names = [];
+        const labels = [];
+        a.forEach((value, key) => {
+            if (!b.has(key)) return;
+            share += Math.min(value.share, b.get(key).share);
+            const percentage = b.get(key).percentage;
+            names.push(value.name);
+            labels.push(percentage ? `${value.name} (${percentage}%)` : value.name);
+        });
+        return { share: Math.min(1, share), names, labels };
+    },
+
+    blendShares(wine) {
+        const list = wine.varietalList || (typeof WineCatalog !== 'undefined' ? WineCatalog.parseVarietals(wine.varietals) : []);
+        const stated = list.reduce((sum, item) => sum + (item.percentage || 0), 0);
+        const unstated = list.filter(item => !item.percentage).length;
+        const rest = unstated ? Math.max(0, 100 - stated) / unstated : 0;
+
+        const shares = new Map();
+        list.forEach(item => {
+            const key = this.fold(item.name);
+            if (!key || shares.has(key)) return;
+            shares.set(key, {
+                name: item.name,
+                percentage: item.percentage,
+                share: (item.percentage || rest) / 100
+            });
+        });
+        return shares;
+    },
+
+    /**
+     * Price band match on the bottle price (the glass price when either has no bottle price)
+     */
+    priceMatch(wine, candidate) {
+        const a = this.pricesOf(wine);
+        const b = this.pricesOf(candidate);
+        const basis = typeof a.bottle === 'number' && typeof b.bottle === 'number' ? 'bottle'
+            : (typeof a.glass === 'number' && typeof b.glass === 'number' ? 'glass' : null);
+        if (!basis || !a[basis]) return null;
+
+        const difference = b[basis] - a[basis];
+        const ratio = Math.abs(difference) / a[basis];
+        if (ratio > this.PRICE_BAND * 2) return null;
+
+        const unit = basis === 'glass' ? ' a glass' : '';
+        const reason = difference < 0
+            ? `$${Math.round(-difference)} less${unit}`
+            : (difference === 0 ? `Same price${unit}` : `Similar price${unit}`);
+        return { weight: ratio <= this.PRICE_BAND ? 1 : 0.5, reason };
+    },
+
+    pricesOf(wine) {
+        return wine.prices || (typeof WineCatalog !== 'undefined' ? WineCatalog.parsePrices(wine) : {});
+    },
+
+    familyOf(wine) {
+        return wine.family || WineCatalog.getFamily(wine);
+    },
+
+    fold(value) {
+        return String(value || '').trim().toLowerCase();
+    }
+};
+
+// Make WineSimilar available globally
+if (typeof window !== 'undefined') {
+    window.WineSimilar = WineSimilar;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineSimilar;
+}
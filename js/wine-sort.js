@@ -0,0 +1,92 @@
+/**
+ * Wine Sort
+ * Sort orders for wine grids, tables and mobile lists. The chosen order is saved
+ * in localStorage so it follows the guest from page to page.
+ */
+
+const WineSort = {
+    STORAGE_KEY: 'wineSort',
+    DEFAULT: 'default',
+
+    OPTIONS: [
+        { value: 'default', label: 'Wine List Order' },
+        { value: 'price-asc', label: 'Price: Low to High' },
+        { value: 'price-desc', label: 'Price: High to Low' },
+        { value: 'vintage-desc', label: 'Vintage: Newest' },
+        { value: 'vintage-asc', label: 'Vintage: Oldest' },
+        { value: 'producer', label: 'Producer A–Z' },
+        { value: 'name', label: 'Name A–Z' },
+        { value: 'region', label: 'Region A–Z' },
+        { value: 'gca', label: 'GCA Pick' }
+    ],
+
+    // GCA score per wine_number, filled from the food pairings (see WinePairings.getScores)
+    scores: new Map(),
+
+    getSaved() {
+        try {
+            const saved = localStorage.getItem(this.STORAGE_KEY);
+            return this.OPTIONS.some(option => option.value === saved) ? saved : this.DEFAULT;
+        } catch (_) {
+            return this.DEFAULT;
+        }
+    },
+
+    save(value) {
+        try { localStorage.setItem(this.STORAGE_KEY, value); } catch (_) {}
+    },
+
+    // Values used by each order; null values always go to the end
+    sortValue(wine, key) {
+        switch (key) {
+            case 'price-asc':
+            case 'price-desc': {
+                const prices = wine.prices || WineCatalog.parsePrices(wine);
+                return prices.bottle ?? prices.glass;
+            }
+            case 'vintage-asc':
+            case 'vintage-desc':
+                return wine.vintageYear ?? WineCatalog.parseVintageYear(wine.wine_vintage);
+            case 'producer':
+                return wine.wine_producer ? wine.wine_producer.toLowerCase() : null;
+            case 'name':
+                return wine.wine_name ? wine.wine_name.toLowerCase() : null;
+            case 'region':
+                return wine.region ? wine.region.toLowerCase() : null;
+            case 'gca':
+                return this.scores.get(wine.wine_number) ?? null;
+            default:
+                return null;
+        }
+    },
+
+    compare(a, b, key) {
+        const valueA = this.sortValue(a, key);
+        const valueB = this.sortValue(b, key);
+        if (valueA === null && valueB === null) return 0;
+        if (valueA === null) return 1;
+        if (valueB === null) return -1;
+
+        const descending = key === 'price-desc' || key === 'vintage-desc' || key === 'gca';
+        const result = typeof valueA === 'string' ? valueA.localeCompare(valueB) : valueA - valueB;
+        return descending ? -result : result;
+    },
+
+    /**
+     * Returns a sorted copy. The default order keeps the wine list order
+     */
+    sort(wines, key = this.getSaved()) {
+        if (!key || key === this.DEFAULT) return [...wines];
+        return [...wines].sort((a, b) => this.compare(a, b, key));
+    }
+};
+
+// Make WineSort available globally
+if (typeof window !== 'undefined') {
+    window.WineSort = WineSort;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineSort;
+}
@@ -0,0 +1,159 @@
+/**
+ * Wine Table
+ * "Pick for the table": one to three bottles (or glasses, for one or two guests) that cover
+ * the dishes the table ordered, within a budget per bottle and the colours they like.
+ * Dish matches and their GCA scores come from the Gran Caffè pairings (WinePairings), the
+ * same ones the details page shows as "GCA Food Pairing". Every pick carries its reasons.
+ */
+
+const WineTable = {
+    MAX_PICKS: 3,
+    GLASSES_PER_BOTTLE: 5,
+    // A bottle for the table assumes about two glasses per guest over the meal
+    GLASSES_PER_GUEST: 2,
+    // Up to this many guests a glass each can replace a bottle
+    GLASS_TABLE_SIZE: 2,
+
+    /**
+     * Picks for a table. request: { guests, dishes: [dish names], budget (per bottle, null = any),
+     * families: ['ROSSO', ...] (empty = any) }. dishes is the pairings list.
+     * Returns { picks: [{ wine, serving, quantity, unitPrice, cost, dishes, reasons }], uncovered, total }.
+     */
+    plan(request, wines, dishes) {
+        const guests = Math.max(1, Number(request.guests) || 1);
+        const chosen = (dishes || []).filter(dish => (request.dishes || []).includes(dish.dish));
+        const options = this.getOptions(chosen, wines, { ...request, guests });
+
+        const picks = [];
+        const covered = new Set();
+        while (picks.length < this.MAX_PICKS && covered.size < chosen.length) {
+            const best = this.bestOption(options, covered, picks);
+            if (!best) break;
+            picks.push(best);
+            best.dishes.forEach(match => covered.add(match.dish));
+        }
+
+        this.setQuantities(picks, guests);
+        picks.forEach(pick => { pick.reasons = this.explain(pick, { ...request, guests }); });
+
+        const uncovered = chosen
+            .filter(dish => !covered.has(dish.dish))
+            .map(dish => ({
+                dish: dish.dish,
+                reason: WinePairings.getWinesForDish(dish, wines).length
+                    ? 'Nothing paired with it fits your budget and colours'
+                    : 'None of its pairings is on the list right now, ask your server'
+            }));
+
+        return {
+            picks,
+            uncovered,
+            total: Math.round(picks.reduce((sum, pick) => sum + pick.cost, 0) * 100) / 100
+        };
+    },
+
+    /**
+     * Every wine paired with at least one chosen dish that fits the request, as a bottle or a glass
+     */
+    getOptions(dishes, wines, request) {
+        const byWine = new Map();
+        dishes.forEach(dish => {
+            (dish.wines || []).forEach(recommendation => {
+                WinePairings.resolve(recommendation, wines).forEach(wine => {
+                    if (!byWine.has(wine.wine_number)) byWine.set(wine.wine_number, { wine, dishes: [] });
+                    const entry = byWine.get(wine.wine_number);
+                    if (entry.dishes.some(match => match.dish === dish.dish)) return;
+                    entry.dishes.push({
+                        dish: dish.dish,
+                        score: Number(recommendation['GCA score']) || 0,
+                        reason: recommendation.reason || ''
+                    });
+                });
+            });
+        });
+
+        const families = request.families || [];
+        return [...byWine.values()]
+            .filter(({ wine }) => !families.length || families.includes(wine.family || WineCatalog.getFamily(wine)))
+            .map(entry => Object.assign(entry, this.getServing(entry.wine, request)))
+            .filter(entry => entry.serving);
+    },
+
+    /**
+     * Bottle when it fits the budget; a glass each for small tables when it costs less.
+     * Returns { serving: 'bottle' | 'glass' | null, unitPrice }.
+     */
+    getServing(wine, request) {
+        const prices = wine.prices || WineCatalog.parsePrices(wine);
+        if (prices.soldOut) return { serving: null };
+
+        const budget = request.budget || Infinity;
+        const bottle = typeof prices.bottle === 'number' && prices.bottle <= budget ? prices.bottle : null;
+        const glass = request.guests <= this.GLASS_TABLE_SIZE && typeof prices.glass === 'number'
+            && prices.glass * request.guests <= budget ? prices.glass : null;
+
+        if (glass !== null && (bottle === null || glass * request.guests < bottle)) {
+            return { serving: 'glass', unitPrice: glass };
+        }
+        return bottle !== null ? { serving: 'bottle', unitPrice: bottle } : { serving: null };
+    },
+
+    /**
+     * Option covering the most dishes still uncovered; ties go to the higher GCA scores, then the lower price
+     */
+    bestOption(options, covered, picks) {
+        const taken = new Set(picks.map(pick => pick.wine.wine_number));
+        const ranked = options
+            .filter(option => !taken.has(option.wine.wine_number))
+            .map(option => {
+                const fresh = option.dishes.filter(match => !covered.has(match.dish));
+                return { option, count: fresh.length, score: fresh.reduce((sum, match) => sum + match.score, 0) };
+            })
+            .filter(entry => entry.count > 0)
+            .sort((a, b) => b.count - a.count || b.score - a.score || a.option.unitPrice - b.option.unitPrice);
+        return ranked.length ? { ...ranked[0].option, dishes: [...ranked[0].option.dishes] } : null;
+    },
+
+    /**
+     * Bottles share the table's glasses; glasses are one per guest
+     */
+    setQuantities(picks, guests) {
+        const bottles = picks.filter(pick => pick.serving === 'bottle').length;
+        const glassesEach = bottles ? (guests * this.GLASSES_PER_GUEST) / bottles : 0;
+        picks.forEach(pick => {
+            pick.quantity = pick.serving === 'glass'
+                ? guests
+                : Math.max(1, Math.ceil(glassesEach / this.GLASSES_PER_BOTTLE));
+            pick.cost = Math.round(pick.quantity * pick.unitPrice * 100) / 100;
+        });
+    },
+
+    explain(pick, request) {
+        const reasons = [...pick.dishes]
+            .sort((a, b) => b.score - a.score)
+            .map(match => `With ${match.dish}${match.score ? ` (GCA score ${match.score})` : ''}${match.reason ? `: ${match.reason}` : ''}`);
+
+        const price = this.formatPrice(pick.unitPrice);
+        if (pick.serving === 'glass') {
+            reasons.push(`${price} a glass, ${pick.quantity === 1 ? 'just one glass' : `a glass each for ${pick.quantity}`} instead of a whole bottle`);
+        } else {
+            reasons.push(`${price} a bottle${request.budget ? `, within your ${this.formatPrice(request.budget)} budget` : ''}`);
+            reasons.push(`${pick.quantity} ${pick.quantity === 1 ? 'bottle pours' : 'bottles pour'} about ${pick.quantity * this.GLASSES_PER_BOTTLE} glasses for ${request.guests} ${request.guests === 1 ? 'guest' : 'guests'}`);
+        }
+        return reasons;
+    },
+
+    formatPrice(value) {
+        return `$${Number.isInteger(value) ? value : value.toFixed(2)}`;
+    }
+};
+
+// Make WineTable available globally
+if (typeof window !== 'undefined') {
+    window.WineTable = WineTable;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineTable;
+}
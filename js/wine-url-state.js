@@ -0,0 +1,135 @@
+/**
+ * Wine URL State
+ * Two-way sync between the filters on screen and the query string: a link reopens
+ * exactly the list the guest was looking at, and back/forward step through filter changes.
+ *
+ * Query parameters:
+ *   type, region, search, varietal        page scope (read by WineListApp.handleURLParameters)
+ *   view=table                            wines page layout (grid is the default)
+ *   sort=price-asc                        WineSort option (wine list order is the default)
+ *   quick=organic | fancy                 wine map quick searches
+ *   regions, grapes, tiers, methods       facet selections, comma separated
+ *   organic=1, glass=1                    facet toggles
+ *   basis=glass, price=20-60, vintage=2015-   facet ranges (an empty side is open)
+ */
+
+const WineURLState = {
+    // Facet state key -> query parameter
+    FACET_LISTS: { regions: 'regions', varietals: 'grapes', tiers: 'tiers', methods: 'methods' },
+    FACET_TOGGLES: { organic: 'organic', byTheGlass: 'glass' },
+    FACET_RANGES: {
+        price: ['priceMin', 'priceMax'],
+        vintage: ['vintageMin', 'vintageMax']
+    },
+
+    // True while the page is being restored from history: writes are ignored
+    restoring: false,
+
+    params() {
+        return new URLSearchParams(window.location.search);
+    },
+
+    // Values written by older links are encoded twice ("search=barolo%2520docg")
+    decode(value) {
+        if (value === null) return null;
+        try {
+            return decodeURIComponent(value);
+        } catch (_) {
+            return value;
+        }
+    },
+
+    /**
+     * Facet state -> query parameters (null for the ones at their default)
+     */
+    fromFacets(state) {
+        const values = {};
+        Object.entries(this.FACET_LISTS).forEach(([key, param]) => {
+            values[param] = state[key].length ? state[key].join(',') : null;
+        });
+        Object.entries(this.FACET_TOGGLES).forEach(([key, param]) => {
+            values[param] = state[key] ? '1' : null;
+        });
+        Object.entries(this.FACET_RANGES).forEach(([param, [minKey, maxKey]]) => {
+            const min = state[minKey];
+            const max = state[maxKey];
+            values[param] = min === null && max === null ? null : `${min ?? ''}-${max ?? ''}`;
+        });
+        values.basis = state.priceBasis === 'glass' ? 'glass' : null;
+        return values;
+    },
+
+    /**
+     * Query parameters -> facet state (missing parameters keep the defaults)
+     */
+    toFacets(params, state = WineFacets.createState()) {
+        Object.entries(this.FACET_LISTS).forEach(([key, param]) => {
+            const value = params.get(param);
+            if (value) state[key] = value.split(',').map(item => item.trim()).filter(Boolean);
+        });
+        Object.entries(this.FACET_TOGGLES).forEach(([key, param]) => {
+            state[key] = params.get(param) === '1';
+        });
+        Object.entries(this.FACET_RANGES).forEach(([param, [minKey, maxKey]]) => {
+            const value = params.get(param);
+            if (!value) return;
+            // "20-60", "20-" or "-60"
+            const [min = '', max = ''] = value.split('-');
+            state[minKey] = min === '' || isNaN(parseFloat(min)) ? null : parseFloat(min);
+            state[maxKey] = max === '' || isNaN(parseFloat(max)) ? null : parseFloat(max);
+        });
+        if (params.get('basis') === 'glass') state.priceBasis = 'glass';
+        return state;
+    },
+
+    /**
+     * Writes the given parameters (null, '' or false removes one) and adds a history entry,
+     * or replaces the current one with { replace: true }. Other parameters (id, staff, ...) are kept.
+     */
+    update(values, { replace = false } = {}) {
+        if (this.restoring) return;
+
+        const params = this.params();
+        Object.entries(values).forEach(([key, value]) => {
+            if (value === null || value === undefined || value === '' || value === false) {
+                params.delete(key);
+            } else {
+                params.set(key, value === true ? '1' : String(value));
+            }
+        });
+
+        const query = params.toString();
+        if (query === this.params().toString()) return;
+
+        const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+        if (replace) {
+            history.replaceState(history.state, '', url);
+        } else {
+            history.pushState({ wineFilters: true }, '', url);
+        }
+    },
+
+    /**
+     * Calls callback(params) on back/forward navigation
+     */
+    onChange(callback) {
+        window.addEventListener('popstate', () => {
+            this.restoring = true;
+            try {
+                callback(this.params());
+            } finally {
+                this.restoring = false;
+            }
+        });
+    }
+};
+
+// Make WineURLState available globally
+if (typeof window !== 'undefined') {
+    window.WineURLState = WineURLState;
+}
+
+// Export for Node.js if needed
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WineURLState;
+}
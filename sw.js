@@ -3,17 +3,37 @@
  * Handles caching for offline functionality
  */
 
-const CACHE_NAME = 'gca-wine-list-v2';
-const CACHE_VERSION = 'v1.1.0';
+const CACHE_NAME = 'gca-wine-list-v26';
+const CACHE_VERSION = 'v1.25.0';
 
 // Core assets to cache immediately on install
 const CORE_ASSETS = [
   '/',
   '/index.html',
   '/css/style.css',
+  '/js/wine-schema.js',
+  '/js/wine-catalog.js',
+  '/js/wine-facets.js',
+  '/js/wine-pairings.js',
+  '/js/wine-food-rules.js',
+  '/js/wine-sort.js',
+  '/js/wine-url-state.js',
+  '/js/wine-search.js',
+  '/js/wine-history.js',
+  '/js/wine-favorites.js',
+  '/js/wine-compare.js',
+  '/js/wine-lab-store.js',
+  '/js/wine-lab-axes.js',
+  '/js/wine-lab-pdf.js',
+  '/js/wine-print-list.js',
+  '/js/wine-profile.js',
+  '/js/wine-radar.js',
+  '/js/wine-similar.js',
+  '/js/wine-table.js',
   '/js/main.js',
   '/js/subcategory-helper.js',
   '/js/wineries.js',
+  '/js/vendor/qrcode.js',
   '/manifest.json'
 ];
 
@@ -26,6 +46,10 @@ const PAGE_ASSETS = [
   '/WineByTheGlass.html',
   '/OurStory.html',
   '/regions.html',
+  '/shortlist.html',
+  '/table-wizard.html',
+  '/print-list.html',
+  '/dishes.html',
   '/SparklingWineDoc.html',
   '/wine-comparison.html',
   '/wine_manager.html',